@@ -4,15 +4,71 @@ import chalk from "chalk"
 import { SystemInfo } from "./lib/system-info.js"
 import { UIComponents } from "./lib/ui-components.js"
 import { EventHandler } from "./lib/event-handler.js"
-import { ErrorHandler, DashboardError, ErrorTypes, ErrorSeverity } from "./lib/error-handler.js"
+import { ErrorHandler, DashboardError, DataError, ErrorTypes, ErrorSeverity } from "./lib/error-handler.js"
+import { ConfigManager } from "./lib/config-manager.js"
+import { getThemeNames, resolveTheme, isNoColor } from "./lib/themes.js"
+import { AlertEngine, AlertStates } from "./lib/alert-engine.js"
+import { AlertNotifier } from "./lib/alert-notifier.js"
+import { MetricsHistory } from "./lib/metrics-history.js"
+import { MetricsRecorder } from "./lib/metrics-recorder.js"
+import { ReplaySource } from "./lib/replay-source.js"
+import { MetricsServer } from "./lib/metrics-server.js"
+import { HeadlessRunner, headlessFormats } from "./lib/headless-runner.js"
+import { AgentServer } from "./lib/agent-server.js"
+import { RemoteHosts } from "./lib/agent-client.js"
+import { parseAddress } from "./lib/agent-protocol.js"
+import { PluginManager } from "./lib/plugin-manager.js"
+import { CollectorScheduler } from "./lib/collector-scheduler.js"
+import { SelfDiagnostics } from "./lib/self-diagnostics.js"
+import { GridLayout } from "./lib/grid-layout.js"
 import { logger } from "./lib/logger.js"
 
+// Collectors with their own entry in the collectors config, plugins are added by name
+const BUILTIN_COLLECTORS = ["cpu", "memory", "disk", "network", "processes", "docker", "connections"]
+
 class CompleteDashboard {
-  constructor() {
-    console.log(chalk.blue.bold("🚀 Initializing Complete TUI Dashboard..."))
+  constructor(options = {}) {
+    // Headless output goes to stdout, so keep it free of banners
+    if (!options.headless && !options.agent) {
+      console.log(chalk.blue.bold("🚀 Initializing Complete TUI Dashboard..."))
+    }
+
+    // Command-line options
+    this.options = options
 
     // Core components
+    this.configManager = new ConfigManager()
     this.systemInfo = new SystemInfo()
+    this.systemInfo.setDiskFilter(this.configManager.get("disks"))
+    this.systemInfo.setDiskForecast(this.configManager.get("disks").forecast)
+    this.systemInfo.setInterfaceFilter(this.configManager.get("network"))
+    this.metricsHistory = new MetricsHistory(
+      MetricsHistory.capacityFor(this.configManager.get("historyMinutes"), this.configManager.get("updateInterval")),
+    )
+    this.alertEngine = new AlertEngine(this.configManager.get("alerts"))
+    this.alertNotifier = null
+    this.metricsRecorder = null
+    this.metricsServer = null
+    this.latestSample = null
+    this.replay = null
+    this.lastReplayIndex = -1
+    this.agentServer = null
+    this.remote = null
+    this.lastRemoteHost = -1
+    this.lastRemoteSample = null
+    this.showHostOverview = false
+    this.pluginManager = null
+    this.failingPlugins = new Set()
+    this.scheduler = null
+    this.diagnostics = new SelfDiagnostics()
+    this.showDiagnostics = false
+    this.showConnections = false
+    this.connectionsReturnFocus = null // Widget that had focus before the connections panel took it
+    this.connectionView = { filter: "" } // Connections panel filter, kept while the panel is closed
+    this.activeTheme = null // Starts as config.theme, the theme key cycles it at runtime
+    this.gridLayout = new GridLayout(this.configManager.get("layout").breakpoints)
+    this.hiddenWidgets = [] // Enabled widgets the grid had no room for at the current size
+    this.zoomedWidget = null // { name, position } while one widget fills the screen
     this.screen = null
     this.widgets = {}
     this.uiComponents = null
@@ -21,10 +77,26 @@ class CompleteDashboard {
 
     // Application state
     this.isRunning = false
-    this.loggingEnabled = false
+    this.loggingEnabled = this.configManager.get("enableLogging")
     this.degradedMode = false
     this.updateInterval = null
     this.updateCount = 0
+    this.dockerUnavailable = false
+    this.configProblems = [] // Unknown widget and collector names, checked once plugins load
+
+    // Process table view state (sorting and filtering survive refreshes)
+    this.processInfo = null
+    this.processView = {
+      sortBy: "cpu",
+      descending: true,
+      filter: "",
+    }
+
+    // Network widget view state: the graphed interface (null follows the default route) and rate units
+    this.networkView = {
+      selected: null,
+      units: this.configManager.get("network").units,
+    }
 
     // Performance tracking
     this.performanceStats = {
@@ -35,13 +107,8 @@ class CompleteDashboard {
       startTime: Date.now(),
     }
 
-    // Configuration
-    this.config = {
-      updateInterval: 2000,
-      maxRetries: 3,
-      enableLogging: false,
-      theme: "default",
-    }
+    // Configuration (loaded and validated from dashboard-config.json)
+    this.config = this.configManager.config
 
     // Bind methods
     this.handleExit = this.handleExit.bind(this)
@@ -57,6 +124,37 @@ class CompleteDashboard {
 
       // Initialize error handler first
       this.errorHandler = new ErrorHandler(this)
+      this.alertNotifier = new AlertNotifier(this.config.notifications, this.errorHandler)
+
+      // Replay mode reads recorded samples instead of recording live ones
+      if (this.options.replay) {
+        this.replay = await ReplaySource.load(this.options.replay)
+      } else if (this.options.connect.length > 0 || this.options.remote) {
+        // Client mode shows samples streamed from remote agents
+        this.remote = new RemoteHosts(this.getRemoteHosts(), this.metricsHistory.capacity)
+        this.remote.connectAll()
+      } else {
+        await this.loadPlugins()
+        this.applyCollectorSettings()
+        this.configureRecorder(this.config.recording)
+
+        // One-shot runs exit before anything could scrape them
+        if (!this.options.once) {
+          await this.configureServer(this.config.server)
+        }
+      }
+
+      // Agent mode streams samples to remote dashboards instead of drawing the TUI
+      if (this.options.agent) {
+        await this.runAgent()
+        return
+      }
+
+      // Headless mode prints samples to stdout instead of drawing the TUI
+      if (this.options.headless) {
+        await this.runHeadless()
+        return
+      }
 
       // Step 1: Create screen
       await this.createScreen()
@@ -67,13 +165,18 @@ class CompleteDashboard {
       // Step 3: Setup event handling
       await this.setupEventHandling()
 
-      // Step 4: Validate system capabilities
-      await this.validateSystemCapabilities()
+      // Step 4: Validate system capabilities (live mode only)
+      if (!this.replay && !this.remote) {
+        await this.validateSystemCapabilities()
+      }
 
       // Step 5: Start monitoring
       await this.startUpdateLoop()
 
-      // Step 6: Initial render
+      // Step 6: Watch config file for live changes
+      this.watchConfig()
+
+      // Step 7: Initial render
       this.screen.render()
 
       this.isRunning = true
@@ -98,6 +201,112 @@ class CompleteDashboard {
     }
   }
 
+  async runHeadless() {
+    const runner = new HeadlessRunner(this, this.options)
+    const exitCode = await runner.run()
+
+    await this.metricsRecorder?.flush()
+    await logger.forceFlush()
+    process.exit(exitCode)
+  }
+
+  async loadPlugins() {
+    // Plugin names can't shadow built-in widgets
+    this.pluginManager = await new PluginManager(
+      this.config.pluginDirectory,
+      Object.keys(this.configManager.defaultConfig.widgets),
+    ).load()
+
+    for (const plugin of this.pluginManager.list()) {
+      this.configManager.registerWidget(plugin.name, plugin.widget)
+    }
+
+    // Entries that match neither a built-in nor a loaded plugin are usually typos. Reloads reject
+    // them, at startup a plugin that failed to load shouldn't keep the dashboard from starting.
+    this.configProblems = this.configManager.setPluginNames(this.pluginManager.list().map((plugin) => plugin.name))
+    if (this.configProblems.length > 0) {
+      logger.warn("Config names unknown widgets or collectors", { problems: this.configProblems })
+    }
+
+    for (const { file, error } of this.pluginManager.failed) {
+      this.errorHandler.handleError(
+        new DashboardError(`Plugin ${file} failed to load: ${error.message}`, ErrorTypes.DATA, ErrorSeverity.LOW, {
+          file,
+          error,
+        }),
+      )
+    }
+  }
+
+  getAgentToken() {
+    return process.env.MONIVEX_AGENT_TOKEN || this.config.agent.token
+  }
+
+  getRemoteHosts() {
+    const hosts = [
+      ...(this.options.remote ? this.config.remoteHosts : []),
+      ...this.options.connect.map((address) => ({ address })),
+    ]
+
+    if (hosts.length === 0) {
+      throw new DataError("--remote needs at least one entry in remoteHosts")
+    }
+
+    // Hosts without their own token use the shared one
+    const token = this.getAgentToken()
+    return hosts.map((host) => ({ ...host, token: host.token || token }))
+  }
+
+  async runAgent() {
+    this.agentServer = new AgentServer(
+      {
+        ...this.config.agent,
+        ...(this.options.listen ? parseAddress(this.options.listen, this.config.agent.host) : {}),
+        token: this.getAgentToken(),
+        interval: this.config.updateInterval,
+      },
+      () => this.collectAgentSample(),
+    )
+
+    try {
+      await this.agentServer.start()
+    } catch (error) {
+      process.stderr.write(`Agent failed to start: ${error.message}\n`)
+      await logger.forceFlush()
+      process.exit(1)
+    }
+
+    this.isRunning = true
+    const { name, host, port } = this.agentServer
+    process.stderr.write(`Agent "${name}" listening on ${host}:${port}\n`)
+
+    const stop = async () => {
+      this.isRunning = false
+      await this.agentServer.stop()
+      await this.metricsServer?.stop()
+      await this.metricsRecorder?.flush()
+      await logger.forceFlush()
+      process.exit(0)
+    }
+
+    process.once("SIGINT", stop)
+    process.once("SIGTERM", stop)
+  }
+
+  async collectAgentSample() {
+    const startTime = Date.now()
+    const { cpuInfo, memoryInfo, diskInfo, networkInfo, sampleTime } = await this.collectLiveSample()
+    const sample = { cpu: cpuInfo, memory: memoryInfo, disk: diskInfo, network: networkInfo }
+
+    // Agents alert locally, so notifications come from the host that has the problem
+    this.alertNotifier.notify(this.alertEngine.evaluate(sample, sampleTime))
+
+    this.updateCount++
+    this.updatePerformanceStats(Date.now() - startTime)
+
+    return { timestamp: new Date(sampleTime).toISOString(), ...sample }
+  }
+
   async createScreen() {
     try {
       this.screen = blessed.screen({
@@ -138,30 +347,10 @@ class CompleteDashboard {
   async setupUI() {
     try {
       this.uiComponents = new UIComponents(this.screen)
+      this.selectTheme(this.config.theme)
+      this.pluginManager?.list().forEach((plugin) => this.uiComponents.registerPlugin(plugin))
 
-      // Create all widgets
-      this.widgets = {
-        header: this.uiComponents.createHeader(),
-        cpu: this.uiComponents.createCPUWidget(),
-        memory: this.uiComponents.createMemoryWidget(),
-        disk: this.uiComponents.createDiskWidget(),
-        network: this.uiComponents.createNetworkWidget(),
-        statusBar: this.uiComponents.createStatusBar(),
-      }
-
-      // Add widgets to screen with error handling
-      Object.entries(this.widgets).forEach(([name, widget]) => {
-        try {
-          this.screen.append(widget)
-        } catch (error) {
-          this.errorHandler.handleError(
-            new DashboardError(`Failed to add ${name} widget`, ErrorTypes.UI, ErrorSeverity.MEDIUM, {
-              widget: name,
-              error,
-            }),
-          )
-        }
-      })
+      this.buildLayout()
 
       logger.info("Complete UI setup finished")
     } catch (error) {
@@ -169,6 +358,255 @@ class CompleteDashboard {
     }
   }
 
+  buildLayout() {
+    this.zoomedWidget = null
+
+    // Detach any existing widgets, mutating in place so EventHandler keeps its reference
+    for (const [name, widget] of Object.entries(this.widgets)) {
+      this.screen.remove(widget)
+      delete this.widgets[name]
+    }
+
+    // Create header, enabled widgets from config, and status bar
+    Object.assign(this.widgets, {
+      header: this.uiComponents.createHeader(),
+      ...this.createConfiguredWidgets(),
+      statusBar: this.uiComponents.createStatusBar(),
+    })
+
+    // The host overview floats above the other widgets, so it is added last
+    if (this.remote && this.showHostOverview) {
+      this.widgets.hostOverview = this.uiComponents.createHostOverviewWidget(this.remote.clients.length)
+    }
+    if (this.showDiagnostics) {
+      this.widgets.diagnostics = this.createDiagnosticsWidget()
+    }
+    if (this.showConnections) {
+      this.widgets.connections = this.uiComponents.createConnectionsWidget()
+    }
+    this.uiComponents.applyTheme(this.widgets)
+    this.hiddenWidgets = []
+    this.applyLayout()
+
+    // Add widgets to screen with error handling
+    Object.entries(this.widgets).forEach(([name, widget]) => {
+      try {
+        this.screen.append(widget)
+      } catch (error) {
+        this.errorHandler.handleError(
+          new DashboardError(`Failed to add ${name} widget`, ErrorTypes.UI, ErrorSeverity.MEDIUM, {
+            widget: name,
+            error,
+          }),
+        )
+      }
+    })
+
+    // The process table takes keyboard focus first, Tab moves it between widgets
+    const [firstWidget] = this.getFocusableWidgets()
+    const initialFocus = this.isWidgetShown("processes") ? "processes" : firstWidget
+    if (initialFocus) {
+      this.widgets[initialFocus].focus()
+    }
+    this.widgets.connections?.focus()
+
+    // Shown widgets decide which optional collectors run
+    if (this.scheduler) {
+      this.syncCollectors()
+    }
+  }
+
+  createConfiguredWidgets() {
+    const widgets = {}
+
+    for (const { name, position } of this.configManager.getEnabledWidgets()) {
+      const widget = this.uiComponents.createWidget(name, position)
+      if (widget) {
+        widget.on("focus", () => this.uiComponents.highlightFocus(widget, true))
+        widget.on("blur", () => this.uiComponents.highlightFocus(widget, false))
+        widgets[name] = widget
+      }
+    }
+
+    logger.info("Configured widgets created", { widgets: Object.keys(widgets) })
+    return widgets
+  }
+
+  // Place configured widgets on the grid for the current terminal size, hiding what doesn't fit
+  applyLayout() {
+    // A zoomed widget keeps the screen, the grid catches up when it is restored
+    if (this.config.layout.mode !== "grid" || this.zoomedWidget) return
+
+    const widgets = this.configManager
+      .getEnabledWidgets()
+      .filter(({ name }) => this.widgets[name])
+      .map(({ name, layout }) => ({ name, ...layout }))
+
+    // Between the header and the status bar, both 3 rows high
+    const { columns, placements, hidden } = this.gridLayout.compute(widgets, {
+      top: 3,
+      left: 0,
+      width: this.screen.width,
+      height: Math.max(0, this.screen.height - 6),
+    })
+
+    for (const [name, placement] of placements) {
+      Object.assign(this.widgets[name], placement)
+      this.widgets[name].show()
+    }
+    for (const name of hidden) {
+      this.widgets[name].hide()
+    }
+
+    if (hidden.join() === this.hiddenWidgets.join()) return
+
+    this.hiddenWidgets = hidden
+    logger.info("Layout reflowed", { columns, width: this.screen.width, height: this.screen.height, hidden })
+
+    if (hidden.length > 0) {
+      this.eventHandler?.showStatusMessage(`Terminal too small, hiding ${hidden.join(", ")}`, "warning", 3000)
+    }
+
+    // Hidden widgets stop their optional collectors, shown again they start them
+    if (this.scheduler) {
+      this.syncCollectors()
+    }
+  }
+
+  // Configured widgets the grid had room for
+  isWidgetShown(name) {
+    return Boolean(this.widgets[name]) && !this.hiddenWidgets.includes(name)
+  }
+
+  // Tab order follows the config, skipping widgets the grid hid
+  getFocusableWidgets() {
+    return this.configManager
+      .getEnabledWidgets()
+      .map(({ name }) => name)
+      .filter((name) => this.isWidgetShown(name))
+  }
+
+  // Null while a dialog or input has focus, so widget keys leave it alone
+  getFocusedWidgetName() {
+    const entry = Object.entries(this.widgets).find(([, widget]) => widget === this.screen.focused)
+    return entry && this.configManager.get("widgets")[entry[0]] ? entry[0] : null
+  }
+
+  cycleFocus(step) {
+    const current = this.getFocusedWidgetName()
+    const names = this.getFocusableWidgets()
+    if (!current || names.length === 0) return
+
+    const next = names[(names.indexOf(current) + step + names.length) % names.length]
+    const zoomed = Boolean(this.zoomedWidget)
+
+    // Zoomed in, Tab moves the zoom along with the focus
+    if (zoomed) {
+      this.unzoomWidget()
+    }
+    this.widgets[next].focus()
+    if (zoomed) {
+      this.zoomWidget(next)
+      this.redrawWidgets()
+    }
+
+    this.screen.render()
+  }
+
+  // Returns the zoomed widget's name, or null when it was restored or nothing could be zoomed
+  toggleZoom() {
+    const name = this.getFocusedWidgetName()
+    if (!name) return null
+
+    if (this.zoomedWidget) {
+      this.unzoomWidget()
+    } else if (this.isWidgetShown(name)) {
+      this.zoomWidget(name)
+    }
+
+    this.redrawWidgets()
+    return this.zoomedWidget?.name ?? null
+  }
+
+  zoomWidget(name) {
+    const widget = this.widgets[name]
+    const { top, left, width, height } = widget.position
+    this.zoomedWidget = { name, position: { top, left, width, height } }
+
+    for (const other of this.getFocusableWidgets()) {
+      if (other !== name) {
+        this.widgets[other].hide()
+      }
+    }
+
+    // Everything between the header and the status bar, following resizes
+    Object.assign(widget, { top: 3, left: 0, width: "100%", height: "100%-6" })
+    logger.debug("Widget zoomed", { widget: name })
+  }
+
+  unzoomWidget() {
+    const { name, position } = this.zoomedWidget
+    this.zoomedWidget = null
+
+    Object.assign(this.widgets[name], position)
+    for (const other of this.getFocusableWidgets()) {
+      this.widgets[other].show()
+    }
+
+    // The terminal may have been resized while zoomed
+    this.applyLayout()
+  }
+
+  isZoomed(name) {
+    return this.zoomedWidget?.name === name
+  }
+
+  // What formatters need to know about a widget: zoomed views show more, content fits the inner width
+  getWidgetView(name) {
+    const widget = this.widgets[name]
+    return { expanded: this.isZoomed(name), width: widget ? widget.width - widget.iwidth : 40 }
+  }
+
+  // The process table lists them all, the memory widget its top consumers
+  wantsProcessList() {
+    return this.isWidgetShown("processes") || this.isWidgetShown("memory")
+  }
+
+  // The selected interface while it is still shown, otherwise the default route's, or the first one
+  getSelectedInterface(networkInfo = []) {
+    const names = networkInfo.map((net) => net.interface)
+    if (names.includes(this.networkView.selected)) {
+      return this.networkView.selected
+    }
+    return networkInfo.find((net) => net.isDefault)?.interface ?? names[0] ?? null
+  }
+
+  cycleNetworkInterface(step) {
+    const networkInfo = this.lastRenderedSample?.networkInfo ?? []
+    if (networkInfo.length === 0) return null
+
+    const names = networkInfo.map((net) => net.interface)
+    const index = names.indexOf(this.getSelectedInterface(networkInfo))
+    this.networkView.selected = names[(index + step + names.length) % names.length]
+
+    this.redrawWidgets()
+    return this.networkView.selected
+  }
+
+  toggleNetworkUnits() {
+    this.networkView.units = this.networkView.units === "bits" ? "bytes" : "bits"
+    this.redrawWidgets()
+    return this.networkView.units
+  }
+
+  // Re-render the last sample, so zooming switches views without collecting again
+  redrawWidgets() {
+    if (this.lastRenderedSample) {
+      this.renderWidgets(this.lastRenderedSample)
+    }
+    this.screen.render()
+  }
+
   async setupEventHandling() {
     try {
       this.eventHandler = new EventHandler(this, this.screen, this.widgets, this.systemInfo)
@@ -195,18 +633,18 @@ class CompleteDashboard {
         this.systemInfo.getNetworkInfo(),
       ])
 
-      const capabilities = {
-        cpu: testResults[0].status === "fulfilled",
-        memory: testResults[1].status === "fulfilled",
-        disk: testResults[2].status === "fulfilled",
-        network: testResults[3].status === "fulfilled",
-      }
+      // Getters fall back to defaults rather than rejecting, so also ask what failed
+      const names = ["cpu", "memory", "disk", "network"]
+      const failures = testResults.map((result, index) =>
+        result.status === "rejected" ? result.reason.message : this.systemInfo.getFailure(names[index]),
+      )
+      const capabilities = Object.fromEntries(names.map((name, index) => [name, failures[index] === null]))
 
       // Log any failed capabilities
-      testResults.forEach((result, index) => {
-        if (result.status === "rejected") {
+      failures.forEach((reason, index) => {
+        if (reason !== null) {
           const features = ["CPU", "Memory", "Disk", "Network"]
-          logger.warn(`${features[index]} monitoring limited`, { reason: result.reason.message })
+          logger.warn(`${features[index]} monitoring limited`, { reason })
         }
       })
 
@@ -235,33 +673,18 @@ class CompleteDashboard {
 
   async startUpdateLoop() {
     try {
+      // Measure event-loop lag from here on, startup blocks the loop by design
+      this.diagnostics.start()
+
+      // Live data comes from per-collector timers, replay and client mode read their own sources
+      if (!this.replay && !this.remote) {
+        await this.startCollectors()
+      }
+
       // Initial update
       await this.updateDisplay()
 
-      // Start interval with error handling
-      this.updateInterval = setInterval(async () => {
-        if (this.isRunning) {
-          const startTime = Date.now()
-
-          try {
-            await this.updateDisplay()
-            this.screen.render()
-
-            // Track performance
-            const updateTime = Date.now() - startTime
-            this.updatePerformanceStats(updateTime)
-          } catch (error) {
-            this.errorHandler.handleError(
-              new DashboardError(`Update cycle failed: ${error.message}`, ErrorTypes.SYSTEM, ErrorSeverity.MEDIUM, {
-                error,
-                updateCount: this.updateCount,
-              }),
-            )
-          }
-        }
-      }, this.config.updateInterval)
-
-      logger.info(`Update loop started`, { interval: this.config.updateInterval })
+      this.scheduleUpdates()
     } catch (error) {
       throw new DashboardError(
         `Failed to start update loop: ${error.message}`,
@@ -272,6 +695,262 @@ class CompleteDashboard {
     }
   }
 
+  scheduleUpdates() {
+    if (this.updateInterval) {
+      clearInterval(this.updateInterval)
+    }
+
+    // Start interval with error handling
+    this.updateInterval = setInterval(async () => {
+      if (this.isRunning) {
+        const startTime = Date.now()
+
+        try {
+          await this.updateDisplay()
+          this.screen.render()
+
+          // Track performance
+          const updateTime = Date.now() - startTime
+          this.updatePerformanceStats(updateTime)
+        } catch (error) {
+          this.errorHandler.handleError(
+            new DashboardError(`Update cycle failed: ${error.message}`, ErrorTypes.SYSTEM, ErrorSeverity.MEDIUM, {
+              error,
+              updateCount: this.updateCount,
+            }),
+          )
+        }
+      }
+    }, this.config.updateInterval)
+
+    logger.info(`Update loop started`, { interval: this.config.updateInterval })
+  }
+
+  async startCollectors() {
+    this.scheduler = new CollectorScheduler((name) => this.handleCollectorResult(name))
+    this.syncCollectors()
+    this.scheduler.start()
+
+    // The first update needs system metrics, optional collectors fill their widgets as they finish
+    await Promise.all(["cpu", "memory", "disk", "network"].map((name) => this.scheduler.waitFor(name)))
+  }
+
+  getCollectors() {
+    const collectors = {
+      cpu: () => this.safeGetCPUInfo(),
+      memory: () => this.safeGetMemoryInfo(),
+      disk: () => this.safeGetDiskInfo(),
+      network: () => this.safeGetNetworkInfo(),
+    }
+
+    // Process listing is expensive, only collect it when a widget shows it
+    if (this.wantsProcessList()) {
+      collectors.processes = () => this.safeGetProcessInfo()
+    }
+    if (this.isWidgetShown("docker")) {
+      collectors.docker = () => this.safeGetDockerInfo()
+    }
+    if (this.showConnections) {
+      collectors.connections = () => this.safeGetConnectionInfo()
+    }
+
+    // Like processes, plugins are only collected while their widget is shown
+    for (const plugin of this.pluginManager?.list() ?? []) {
+      if (this.isWidgetShown(plugin.name)) {
+        collectors[`plugin:${plugin.name}`] = () => this.safeGetPluginData(plugin)
+      }
+    }
+
+    return collectors
+  }
+
+  syncCollectors() {
+    const collectors = this.getCollectors()
+
+    for (const name of this.scheduler.names()) {
+      if (!collectors[name]) {
+        this.scheduler.unregister(name)
+      }
+    }
+
+    for (const [name, collect] of Object.entries(collectors)) {
+      this.scheduler.register(name, {
+        interval: this.getCollectorSettings(name).interval,
+        // Scheduled runs always fetch, so the cache TTL only applies to other readers like exports
+        collect: () => {
+          this.systemInfo.refresh(name)
+          return collect()
+        },
+      })
+    }
+  }
+
+  getCollectorSettings(name) {
+    // Cache keys and scheduler names prefix plugins, the config uses the bare plugin name
+    const configName = name.replace(/^plugin:/, "")
+    const settings = this.config.collectors[configName] ?? {}
+    const interval = settings.interval ?? this.pluginManager?.get(configName)?.interval ?? this.config.updateInterval
+
+    return { interval, ttl: settings.ttl ?? interval }
+  }
+
+  applyCollectorSettings() {
+    const plugins = this.pluginManager?.list() ?? []
+    const names = [...BUILTIN_COLLECTORS, ...plugins.map((plugin) => `plugin:${plugin.name}`)]
+
+    for (const name of names) {
+      this.systemInfo.setCacheTTL(name, this.getCollectorSettings(name).ttl)
+    }
+
+    if (this.scheduler) {
+      this.syncCollectors()
+    }
+  }
+
+  handleCollectorResult(name) {
+    if (!this.isRunning) return
+
+    // Redraw just this collector's widgets now rather than waiting for the next update
+    this.renderWidgets(this.getCollectedData(), name)
+    this.screen.render()
+  }
+
+  watchConfig() {
+    this.configManager.watch(
+      (newConfig, previousConfig) => this.handleConfigReload(newConfig, previousConfig),
+      (error) => this.handleConfigError(error),
+    )
+
+    logger.info("Watching config file for changes", { configPath: this.configManager.configPath })
+  }
+
+  handleConfigReload(newConfig, previousConfig) {
+    try {
+      this.applyConfig(newConfig, previousConfig)
+      this.eventHandler.showStatusMessage("Configuration reloaded", "success", 2000)
+      logger.info("Configuration reloaded")
+    } catch (error) {
+      // Restore the last good config and re-apply it
+      const restoredConfig = this.configManager.rollback()
+      this.applyConfig(restoredConfig, newConfig)
+      this.handleConfigError(error)
+    }
+  }
+
+  handleConfigError(error) {
+    this.errorHandler.logError(this.errorHandler.normalizeError(error))
+    logger.warn("Config reload rejected, keeping last good config", { error: error.message })
+
+    const reason = error.details?.problems?.[0] || error.message
+    this.eventHandler.showStatusMessage(`Config reload failed (${reason}) - keeping last good config`, "error", 5000)
+  }
+
+  configureRecorder(recordingConfig) {
+    this.metricsRecorder = recordingConfig.enabled ? new MetricsRecorder(recordingConfig) : null
+  }
+
+  async configureServer(serverConfig) {
+    await this.metricsServer?.stop()
+    this.metricsServer = null
+
+    if (!serverConfig.enabled) return
+
+    const server = new MetricsServer(this, serverConfig)
+    try {
+      await server.start()
+      this.metricsServer = server
+    } catch (error) {
+      this.errorHandler.handleError(
+        new DashboardError(`Metrics server failed: ${error.message}`, ErrorTypes.NETWORK, ErrorSeverity.MEDIUM, {
+          error,
+          host: serverConfig.host,
+          port: serverConfig.port,
+        }),
+      )
+
+      // Without a status bar, headless runs only see this on stderr
+      if (this.options.headless) {
+        process.stderr.write(`Metrics server failed: ${error.message}\n`)
+      }
+    }
+  }
+
+  applyConfig(newConfig, previousConfig) {
+    this.config = newConfig
+    this.loggingEnabled = newConfig.enableLogging
+
+    const themeChanged = newConfig.theme !== previousConfig.theme
+    const userThemesChanged = JSON.stringify(newConfig.themes) !== JSON.stringify(previousConfig.themes)
+    const layoutChanged =
+      JSON.stringify([newConfig.widgets, newConfig.layout]) !==
+      JSON.stringify([previousConfig.widgets, previousConfig.layout])
+
+    if (layoutChanged) {
+      this.gridLayout.setBreakpoints(newConfig.layout.breakpoints)
+      this.buildLayout()
+    }
+
+    // A new theme key replaces whatever was cycled to, edited user themes restyle the current one
+    if (themeChanged || userThemesChanged) {
+      const keepCycled = !themeChanged && getThemeNames(newConfig.themes).includes(this.activeTheme)
+      this.applyTheme(keepCycled ? this.activeTheme : newConfig.theme)
+    } else if (layoutChanged) {
+      this.updateDisplay().then(() => this.screen.render())
+    }
+
+    if (JSON.stringify(newConfig.alerts) !== JSON.stringify(previousConfig.alerts)) {
+      this.alertEngine.setRules(newConfig.alerts)
+    }
+
+    if (JSON.stringify(newConfig.recording) !== JSON.stringify(previousConfig.recording)) {
+      this.configureRecorder(newConfig.recording)
+    }
+
+    if (JSON.stringify(newConfig.notifications) !== JSON.stringify(previousConfig.notifications)) {
+      this.alertNotifier.setConfig(newConfig.notifications)
+    }
+
+    if (JSON.stringify(newConfig.collectors) !== JSON.stringify(previousConfig.collectors)) {
+      this.applyCollectorSettings()
+    }
+
+    if (JSON.stringify(newConfig.disks) !== JSON.stringify(previousConfig.disks)) {
+      this.systemInfo.setDiskFilter(newConfig.disks)
+      this.systemInfo.setDiskForecast(newConfig.disks.forecast)
+      this.scheduler?.runNow("disk")
+    }
+
+    if (JSON.stringify(newConfig.network) !== JSON.stringify(previousConfig.network)) {
+      this.systemInfo.setInterfaceFilter(newConfig.network)
+      this.networkView.units = newConfig.network.units
+      this.scheduler?.runNow("network")
+    }
+
+    if (newConfig.memory.units !== previousConfig.memory.units) {
+      this.redrawWidgets()
+    }
+
+    if (!this.replay && !this.remote && JSON.stringify(newConfig.server) !== JSON.stringify(previousConfig.server)) {
+      this.configureServer(newConfig.server)
+    }
+
+    if (
+      newConfig.updateInterval !== previousConfig.updateInterval ||
+      newConfig.historyMinutes !== previousConfig.historyMinutes
+    ) {
+      const capacity = MetricsHistory.capacityFor(newConfig.historyMinutes, newConfig.updateInterval)
+      this.metricsHistory.setCapacity(capacity)
+      this.remote?.setCapacity(capacity)
+    }
+
+    if (newConfig.updateInterval !== previousConfig.updateInterval) {
+      this.scheduleUpdates()
+      this.applyCollectorSettings() // Collectors without an interval of their own follow it
+    }
+
+    this.screen.render()
+  }
+
   async updateDisplay() {
     const startTime = Date.now()
 
@@ -280,34 +959,28 @@ class CompleteDashboard {
         logger.debug(`Update #${this.updateCount + 1} starting...`)
       }
 
-      // Update header with comprehensive info
-      const now = new Date().toLocaleString()
-      const uptime = Math.round((Date.now() - this.performanceStats.startTime) / 1000)
-      const status = this.degradedMode ? "DEGRADED" : "NORMAL"
+      const sample = await this.nextSample()
+      const { cpuInfo, memoryInfo, diskInfo, networkInfo, sampleTime } = sample
 
+      // Update header with comprehensive info
       this.widgets.header.setContent(
-        `{center}{bold}Complete System Monitor v1.0{/bold}{/center}\n` +
-          `{center}${now} | Uptime: ${uptime}s | Status: ${status} | Updates: ${this.updateCount}{/center}`,
+        this.replay ? this.formatReplayHeader() : this.remote ? this.formatRemoteHeader() : this.formatLiveHeader(),
       )
 
-      // Collect system data with individual error handling
-      const dataPromises = [
-        this.safeGetCPUInfo(),
-        this.safeGetMemoryInfo(),
-        this.safeGetDiskInfo(),
-        this.safeGetNetworkInfo(),
-      ]
-
-      const [cpuInfo, memoryInfo, diskInfo, networkInfo] = await Promise.all(dataPromises)
-
       // Update widgets with error handling
-      this.safeUpdateWidget("cpu", () => this.uiComponents.formatCPUContent(cpuInfo))
+      this.renderWidgets(sample)
 
-      this.safeUpdateWidget("memory", () => this.uiComponents.formatMemoryContent(memoryInfo))
+      this.safeUpdateWidget("diagnostics", () => this.uiComponents.formatDiagnosticsContent(this.getDiagnostics()))
 
-      this.safeUpdateWidget("disk", () => this.uiComponents.formatDiskContent(diskInfo))
+      this.safeUpdateWidget("hostOverview", () =>
+        this.uiComponents.formatHostOverview(
+          this.remote.clients.map((client) => ({ ...client.getStatus(), sample: client.latest() })),
+          this.remote.selected,
+        ),
+      )
 
-      this.safeUpdateWidget("network", () => this.uiComponents.formatNetworkContent(networkInfo))
+      // Evaluate alert rules against this sample
+      this.updateAlerts({ cpu: cpuInfo, memory: memoryInfo, disk: diskInfo, network: networkInfo }, sampleTime)
 
       // Maintenance tasks
       this.systemInfo.clearExpiredCache()
@@ -326,7 +999,426 @@ class CompleteDashboard {
     }
   }
 
-  
+  async refresh() {
+    // Clear cache to force fresh data
+    this.systemInfo.cache.clear()
+
+    // Collectors still busy with a run finish that one instead of starting a second
+    await this.scheduler?.runAll()
+    await this.updateDisplay()
+  }
+
+  // Renders the widgets fed by one collector, or all of them
+  renderWidgets(data, collector = null) {
+    const { cpuInfo, memoryInfo, diskInfo, networkInfo, processInfo, dockerInfo, connectionInfo } = data
+    const { pluginData = new Map() } = data
+    const history = this.metricsHistory
+    const wants = (name) => collector === null || collector === name
+
+    if (collector === null) {
+      this.lastRenderedSample = data
+    }
+
+    if (wants("cpu")) {
+      this.safeUpdateWidget("cpu", () =>
+        this.uiComponents.formatCPUContent(cpuInfo, history.values("cpu"), this.getWidgetView("cpu")),
+      )
+    }
+
+    if (wants("memory") || collector === "processes") {
+      // Top consumers come from the process list, which only exists while it is collected
+      const { units } = this.configManager.get("memory")
+      const view = { ...this.getWidgetView("memory"), units, processes: processInfo?.list }
+      this.safeUpdateWidget("memory", () =>
+        this.uiComponents.formatMemoryContent(memoryInfo, history.values("memory"), view),
+      )
+    }
+
+    if (wants("disk")) {
+      this.safeUpdateWidget("disk", () => this.uiComponents.formatDiskContent(diskInfo, this.getWidgetView("disk")))
+    }
+
+    if (wants("network")) {
+      // Graph the selected interface, or the default one until something is selected
+      const selected = this.getSelectedInterface(networkInfo)
+      this.safeUpdateWidget("network", () =>
+        this.uiComponents.formatNetworkContent(
+          networkInfo,
+          { rx: history.values(`networkRx:${selected}`), tx: history.values(`networkTx:${selected}`) },
+          { ...this.getWidgetView("network"), selected, units: this.networkView.units },
+        ),
+      )
+    }
+
+    if (wants("docker")) {
+      this.safeUpdateWidget("docker", () => this.uiComponents.formatDockerContent(dockerInfo))
+    }
+
+    if (wants("connections")) {
+      this.renderConnections(connectionInfo)
+    }
+
+    for (const [name, { data, error }] of pluginData) {
+      if (wants(`plugin:${name}`)) {
+        this.safeUpdateWidget(name, () =>
+          this.uiComponents.formatPluginContent(this.pluginManager.get(name), data, error),
+        )
+      }
+    }
+
+    if (wants("processes")) {
+      this.processInfo = processInfo
+      this.renderProcessTable()
+    }
+
+    // History has no collector of its own, it redraws with full updates
+    if (collector === null && this.widgets.history) {
+      // Four charts, each a title line and the chart, grow to fill a zoomed widget
+      const chartHeight = this.isZoomed("history")
+        ? Math.max(3, Math.floor((this.widgets.history.height - 2) / 4) - 1)
+        : 3
+
+      this.safeUpdateWidget("history", () =>
+        this.uiComponents.formatHistoryContent(
+          history,
+          this.config.historyMinutes,
+          this.widgets.history.width - 4,
+          chartHeight,
+        ),
+      )
+    }
+  }
+
+  async nextSample() {
+    // Replay and client mode substitute their own samples for live collection
+    if (this.replay) return this.getReplaySample()
+    if (this.remote) return this.getRemoteSample()
+    if (this.scheduler) return this.getScheduledSample()
+    return this.collectLiveSample()
+  }
+
+  formatLiveHeader() {
+    const now = new Date().toLocaleString()
+    const uptime = Math.round((Date.now() - this.performanceStats.startTime) / 1000)
+    const status = this.degradedMode ? "DEGRADED" : "NORMAL"
+
+    return (
+      `{center}{bold}Complete System Monitor v1.0{/bold}{/center}\n` +
+      `{center}${now} | Uptime: ${uptime}s | Status: ${status} | Updates: ${this.updateCount}{/center}`
+    )
+  }
+
+  formatReplayHeader() {
+    const { index, total, position, speed, paused } = this.replay.getStatus()
+    const state = paused ? "PAUSED" : "PLAYING"
+
+    // Single line: the header box only has room for one line inside its border
+    return (
+      `{center}{bold}REPLAY{/bold} ${new Date(position).toLocaleString()} | ${state} x${speed} | ` +
+      `Sample ${index + 1}/${total}{/center}`
+    )
+  }
+
+  formatRemoteHeader() {
+    const { name, address, state, stale } = this.remote.current().getStatus()
+    const status = stale ? "STALE" : state.toUpperCase()
+
+    return (
+      `{center}{bold}${blessed.escape(name)}{/bold} ${address} | ${status} | ` +
+      `Host ${this.remote.selected + 1}/${this.remote.clients.length} | "<" ">" switch, "o" overview{/center}`
+    )
+  }
+
+  async collectLiveSample() {
+    // Run the same collectors the scheduler would, all at once, each with its own error handling
+    const collectors = Object.entries(this.getCollectors())
+    const results = await Promise.all(collectors.map(([, collect]) => collect()))
+
+    const data = this.getCollectedData(new Map(collectors.map(([name], index) => [name, results[index]])))
+    return { ...data, sampleTime: this.recordSample(data) }
+  }
+
+  getScheduledSample() {
+    // Collectors refresh on their own timers, an update samples whatever they have now
+    const data = this.getCollectedData()
+    return { ...data, sampleTime: this.recordSample(data) }
+  }
+
+  getCollectedData(results = this.getSchedulerResults()) {
+    const pluginData = new Map()
+
+    for (const [name, result] of results) {
+      if (name.startsWith("plugin:") && result) {
+        pluginData.set(name.slice("plugin:".length), result)
+      }
+    }
+
+    return {
+      cpuInfo: results.get("cpu") ?? null,
+      memoryInfo: results.get("memory") ?? null,
+      diskInfo: results.get("disk") ?? [],
+      networkInfo: results.get("network") ?? [],
+      processInfo: results.get("processes") ?? null,
+      dockerInfo: results.get("docker") ?? null,
+      connectionInfo: results.get("connections") ?? null,
+      pluginData,
+    }
+  }
+
+  getSchedulerResults() {
+    return new Map(this.scheduler.names().map((name) => [name, this.scheduler.latest(name)]))
+  }
+
+  recordSample({ cpuInfo, memoryInfo, diskInfo, networkInfo }) {
+    // Keep recent samples for sparklines and charts, and persist them when recording
+    this.metricsHistory.record({ cpu: cpuInfo, memory: memoryInfo, network: networkInfo })
+    this.metricsRecorder?.record({ cpu: cpuInfo, memory: memoryInfo, disk: diskInfo, network: networkInfo })
+
+    // Latest sample is what the metrics server exposes
+    const sampleTime = Date.now()
+    this.latestSample = {
+      timestamp: new Date(sampleTime).toISOString(),
+      time: sampleTime,
+      cpu: cpuInfo,
+      memory: memoryInfo,
+      disk: diskInfo,
+      network: networkInfo,
+    }
+
+    return sampleTime
+  }
+
+  async safeGetPluginData(plugin) {
+    try {
+      const data = await this.systemInfo.collectPlugin(plugin)
+
+      if (this.failingPlugins.delete(plugin.name)) {
+        logger.info(`Plugin ${plugin.name} recovered`)
+      }
+      return { data, error: null }
+    } catch (error) {
+      // Report once per failure streak so a broken plugin doesn't flood the status bar
+      if (!this.failingPlugins.has(plugin.name)) {
+        this.failingPlugins.add(plugin.name)
+        this.errorHandler.handleError(
+          new DashboardError(`Plugin ${plugin.name} failed: ${error.message}`, ErrorTypes.DATA, ErrorSeverity.LOW, {
+            plugin: plugin.name,
+            error,
+          }),
+        )
+      }
+      return { data: null, error: error.message }
+    }
+  }
+
+  getReplaySample() {
+    this.replay.tick()
+    this.syncReplayHistory()
+
+    const sample = this.replay.current()
+
+    // Processes and containers are not recorded
+    return {
+      cpuInfo: sample.cpu ?? null,
+      memoryInfo: sample.memory ?? null,
+      diskInfo: sample.disk ?? [],
+      networkInfo: sample.network ?? [],
+      processInfo: null,
+      dockerInfo: null,
+      sampleTime: sample.time,
+    }
+  }
+
+  getRemoteSample() {
+    this.syncRemoteHistory()
+
+    const sample = this.remote.current().latest()
+
+    // Agents stream system metrics only, not processes or containers
+    return {
+      cpuInfo: sample?.cpu ?? null,
+      memoryInfo: sample?.memory ?? null,
+      diskInfo: sample?.disk ?? [],
+      networkInfo: sample?.network ?? [],
+      processInfo: null,
+      dockerInfo: null,
+      sampleTime: sample?.time ?? Date.now(),
+    }
+  }
+
+  syncRemoteHistory() {
+    const { selected } = this.remote
+    const client = this.remote.current()
+    const latest = client.latest()
+
+    if (selected === this.lastRemoteHost && latest === this.lastRemoteSample) return
+
+    // Switching hosts swaps in that host's buffered samples and starts alert state fresh
+    if (selected !== this.lastRemoteHost) {
+      this.metricsHistory.clear()
+      this.alertEngine.reset()
+    }
+
+    const since = selected === this.lastRemoteHost ? (this.lastRemoteSample?.time ?? 0) : 0
+    for (const sample of client.samples.toArray()) {
+      if (sample.time > since) {
+        this.metricsHistory.record(sample, sample.time)
+      }
+    }
+
+    this.lastRemoteHost = selected
+    this.lastRemoteSample = latest
+  }
+
+  selectRemoteHost(index) {
+    if (!this.remote.select(index)) return null
+
+    this.updateDisplay().then(() => this.screen.render())
+    return this.remote.current().name
+  }
+
+  cycleRemoteHost(step) {
+    const count = this.remote.clients.length
+    return this.selectRemoteHost((this.remote.selected + step + count) % count)
+  }
+
+  toggleHostOverview() {
+    this.showHostOverview = !this.showHostOverview
+
+    if (this.showHostOverview) {
+      this.widgets.hostOverview = this.uiComponents.createHostOverviewWidget(this.remote.clients.length)
+      this.uiComponents.applyTheme({ hostOverview: this.widgets.hostOverview })
+      this.screen.append(this.widgets.hostOverview)
+      this.updateDisplay().then(() => this.screen.render())
+    } else {
+      this.screen.remove(this.widgets.hostOverview)
+      delete this.widgets.hostOverview
+      this.screen.render()
+    }
+
+    return this.showHostOverview
+  }
+
+  selectTheme(name) {
+    // NO_COLOR wins over the configured theme and over cycling
+    this.activeTheme = isNoColor() ? "monochrome" : name
+    this.uiComponents.setTheme(resolveTheme(this.activeTheme, this.config.themes))
+  }
+
+  applyTheme(name) {
+    this.selectTheme(name)
+    this.uiComponents.applyTheme(this.widgets)
+
+    // Widget contents carry color tags, so redraw them in the new palette
+    this.updateDisplay().then(() => this.screen.render())
+  }
+
+  cycleTheme() {
+    if (isNoColor()) return null
+
+    const names = getThemeNames(this.config.themes)
+    const next = names[(names.indexOf(this.activeTheme) + 1) % names.length]
+
+    this.applyTheme(next)
+    logger.info("Theme switched", { theme: next })
+    return next
+  }
+
+  createDiagnosticsWidget() {
+    return this.uiComponents.createDiagnosticsWidget(this.scheduler?.names().length ?? 0)
+  }
+
+  toggleDiagnostics() {
+    this.showDiagnostics = !this.showDiagnostics
+
+    if (this.showDiagnostics) {
+      this.widgets.diagnostics = this.createDiagnosticsWidget()
+      this.uiComponents.applyTheme({ diagnostics: this.widgets.diagnostics })
+      this.screen.append(this.widgets.diagnostics)
+      this.safeUpdateWidget("diagnostics", () => this.uiComponents.formatDiagnosticsContent(this.getDiagnostics()))
+    } else {
+      this.screen.remove(this.widgets.diagnostics)
+      delete this.widgets.diagnostics
+    }
+
+    this.screen.render()
+    return this.showDiagnostics
+  }
+
+  // Connections are read from this machine, so the panel only exists for live data
+  toggleConnections() {
+    if (!this.scheduler) return null
+
+    this.showConnections = !this.showConnections
+
+    if (this.showConnections) {
+      this.connectionsReturnFocus = this.getFocusedWidgetName()
+      this.widgets.connections = this.uiComponents.createConnectionsWidget()
+      this.uiComponents.applyTheme({ connections: this.widgets.connections })
+      this.screen.append(this.widgets.connections)
+      this.widgets.connections.focus()
+      this.renderConnections(this.scheduler.latest("connections"))
+    } else {
+      this.screen.remove(this.widgets.connections)
+      delete this.widgets.connections
+      this.widgets[this.connectionsReturnFocus ?? this.getFocusableWidgets()[0]]?.focus()
+    }
+
+    // Collect while the panel is open, starting right away
+    this.syncCollectors()
+    if (this.showConnections) {
+      this.scheduler.runNow("connections")
+    }
+
+    this.screen.render()
+    return this.showConnections
+  }
+
+  renderConnections(connectionInfo = this.scheduler?.latest("connections")) {
+    const widget = this.widgets.connections
+    if (!widget) return
+
+    this.safeUpdateWidget("connections", () =>
+      this.uiComponents.formatConnectionsContent(connectionInfo, this.connectionView, widget.width - widget.iwidth),
+    )
+  }
+
+  getDiagnostics() {
+    return {
+      diagnostics: this.diagnostics.getStats(),
+      cache: this.systemInfo.getCacheStats(),
+      collectors: this.scheduler?.getStats() ?? null,
+    }
+  }
+
+  syncReplayHistory() {
+    const { index } = this.replay
+    const seeked = this.replay.takeSeek()
+    if (index === this.lastReplayIndex && !seeked) return
+
+    if (seeked) {
+      // After a seek, rebuild history and alert state from the recording
+      this.metricsHistory.clear()
+      this.alertEngine.reset()
+      for (const sample of this.replay.getSamplesBefore(this.metricsHistory.capacity)) {
+        this.metricsHistory.record(sample, sample.time)
+      }
+    } else {
+      // Fast playback and timer jitter skip samples between updates. Record all of them, and run
+      // the skipped ones through the alert rules so sustained alerts still fire (the update
+      // evaluates the current one)
+      const samples = this.replay.getSamplesSince(this.lastReplayIndex)
+      for (const sample of samples) {
+        this.metricsHistory.record(sample, sample.time)
+      }
+      for (const sample of samples.slice(0, -1)) {
+        this.alertEngine.evaluate(sample, sample.time)
+      }
+    }
+
+    this.lastReplayIndex = index
+  }
+
   async safeGetCPUInfo() {
     try {
       return await this.systemInfo.getCPUInfo()
@@ -379,11 +1471,123 @@ class CompleteDashboard {
     }
   }
 
+  updateAlerts(sample, sampleTime = Date.now()) {
+    try {
+      const transitions = this.alertEngine.evaluate(sample, sampleTime)
+
+      // Replayed alerts already happened, and agents notify for their own hosts
+      if (!this.replay && !this.remote) {
+        this.alertNotifier.notify(transitions)
+      }
+
+      transitions
+        .filter(({ to }) => to === AlertStates.FIRING)
+        .forEach(({ alert }) => {
+          const label = blessed.escape(alert.label) // Labels hold mount points
+          this.eventHandler?.showStatusMessage(`ALERT: ${label} at ${alert.value}${alert.unit}`, "error", 3000)
+        })
+
+      // Highlight widgets whose metrics have a firing alert, the disk widget also for forecasts
+      const widgetMetrics = { cpu: ["cpu"], memory: ["memory"], disk: ["disk", "diskForecast"] }
+      for (const [name, metrics] of Object.entries(widgetMetrics)) {
+        if (this.widgets[name]) {
+          const firing = metrics.some((metric) => this.alertEngine.isFiring(metric))
+          this.uiComponents.highlightWidget(this.widgets[name], firing)
+        }
+      }
+
+      this.safeUpdateWidget("alerts", () => this.uiComponents.formatAlertsContent(this.alertEngine.getActiveAlerts()))
+    } catch (error) {
+      this.errorHandler.handleError(
+        new DashboardError(`Alert evaluation failed: ${error.message}`, ErrorTypes.DATA, ErrorSeverity.LOW, {
+          error,
+        }),
+      )
+    }
+  }
+
+  async safeGetProcessInfo() {
+    try {
+      return await this.systemInfo.getProcessInfo()
+    } catch (error) {
+      this.errorHandler.handleError(
+        new DashboardError(`Process data collection failed: ${error.message}`, ErrorTypes.SYSTEM, ErrorSeverity.LOW, {
+          error,
+        }),
+      )
+      return null
+    }
+  }
+
+  async safeGetConnectionInfo() {
+    try {
+      return await this.systemInfo.getConnectionInfo()
+    } catch (error) {
+      this.errorHandler.handleError(
+        new DashboardError(`Connections collection failed: ${error.message}`, ErrorTypes.SYSTEM, ErrorSeverity.LOW, {
+          error,
+        }),
+      )
+      return null
+    }
+  }
+
+  async safeGetDockerInfo() {
+    const dockerInfo = await this.systemInfo.getDockerInfo()
+
+    // Report a missing Docker daemon once, not on every update
+    if (!dockerInfo.available && !this.dockerUnavailable) {
+      this.errorHandler.handleError(
+        new DashboardError(`Docker not available: ${dockerInfo.reason}`, ErrorTypes.SYSTEM, ErrorSeverity.LOW, {
+          reason: dockerInfo.reason,
+        }),
+      )
+    }
+
+    this.dockerUnavailable = !dockerInfo.available
+    return dockerInfo
+  }
+
+  renderProcessTable() {
+    const widget = this.widgets.processes
+    if (!widget || !this.processInfo) return
+
+    // Keep the same process selected across re-sorts and refreshes
+    const selectedPid = this.getSelectedProcess()?.pid
+
+    this.safeUpdateWidget("processes", () => this.uiComponents.formatProcessContent(this.processInfo, this.processView))
+    widget.setLabel(this.uiComponents.formatProcessLabel(this.processInfo, this.processView, widget.rows.length - 1))
+
+    const selectedIndex = widget.rows.findIndex((row, index) => index > 0 && Number(row[0]) === selectedPid)
+    if (selectedIndex > 0) {
+      widget.select(selectedIndex)
+    }
+  }
+
+  getSelectedProcess() {
+    const widget = this.widgets.processes
+    const row = widget?.rows?.[widget.selected]
+
+    if (!row || widget.selected === 0) {
+      return null
+    }
+
+    return { pid: Number(row[0]), user: row[1], command: row[4] }
+  }
+
   safeUpdateWidget(widgetName, contentGenerator) {
+    // Disabled widgets don't need their content formatted
+    if (!this.widgets[widgetName]) return
+
     try {
       const content = contentGenerator()
-      if (this.widgets[widgetName] && content) {
-        this.widgets[widgetName].setContent(content)
+      if (content) {
+        // Table widgets take rows, everything else takes tagged text
+        if (Array.isArray(content)) {
+          this.widgets[widgetName].setData(content)
+        } else {
+          this.widgets[widgetName].setContent(content)
+        }
       }
     } catch (error) {
       this.errorHandler.handleError(
@@ -412,15 +1616,19 @@ class CompleteDashboard {
     // Update error count
     this.performanceStats.errorCount = this.errorHandler.getErrorStats().totalErrors
 
-    // Update cache hit rate (simplified)
-    const cacheStats = this.systemInfo.getCacheStats()
-    this.performanceStats.cacheHitRate = cacheStats.size > 0 ? 85 : 0
+    // Update cache hit rate from real lookups
+    this.performanceStats.cacheHitRate = this.systemInfo.getCacheStats().hitRate
+
+    // Update-loop percentiles and the dashboard's own CPU usage
+    this.diagnostics.recordUpdate(updateTime)
   }
 
   handleResize() {
     try {
       logger.debug(`Screen resized`, { width: this.screen.width, height: this.screen.height })
 
+      this.applyLayout()
+
       // Force re-render all widgets
       Object.values(this.widgets).forEach((widget) => {
         widget.emit("resize")
@@ -436,13 +1644,32 @@ class CompleteDashboard {
 
   showStartupMessage() {
     setTimeout(() => {
-      if (this.eventHandler) {
+      if (!this.eventHandler) return
+
+      // Plugin load failures happen before the status bar exists, so surface them here
+      const failedPlugins = this.pluginManager?.failed.length ?? 0
+      if (failedPlugins > 0) {
+        this.eventHandler.showStatusMessage(
+          `${failedPlugins} plugin(s) failed to load, see logs/dashboard.log`,
+          "warning",
+          5000,
+        )
+      } else if (this.configProblems.length > 0) {
+        const keys = this.configProblems.map((problem) => problem.split(":")[0])
+        this.eventHandler.showStatusMessage(`Unknown config entries: ${keys.join(", ")}`, "warning", 5000)
+      } else if (this.hiddenWidgets.length > 0) {
+        this.eventHandler.showStatusMessage(
+          `Terminal too small, hiding ${this.hiddenWidgets.join(", ")}`,
+          "warning",
+          4000,
+        )
+      } else {
         this.eventHandler.showStatusMessage("Welcome to Complete TUI Dashboard! Press 'h' for help", "info", 4000)
       }
     }, 1000)
   }
 
-  handleExit() {
+  async handleExit() {
     if (!this.isRunning) return
 
     logger.info("Complete dashboard shutting down...")
@@ -454,26 +1681,39 @@ class CompleteDashboard {
       if (this.updateInterval) {
         clearInterval(this.updateInterval)
       }
+      this.scheduler?.stop()
+      this.diagnostics.stop()
 
-      // Show final statistics
-      this.showFinalStatistics()
+      // Stop watching the config file
+      this.configManager.unwatch()
+
+      // Stop serving metrics and drop agent connections
+      this.metricsServer?.stop()
+      this.remote?.closeAll()
 
       // Save error log
       if (this.errorHandler) {
         this.errorHandler.saveErrorLog()
       }
 
+      // Finish writing recorded samples, updates are stopped so nothing new gets queued
+      await this.metricsRecorder?.flush()
+
       // Cleanup screen
       if (this.screen) {
         this.screen.destroy()
       }
 
+      // Show final statistics once the TUI no longer covers the terminal
+      this.showFinalStatistics()
+
       logger.info("Complete dashboard stopped cleanly")
     } catch (error) {
       logger.error("Error during shutdown", { error: error.message })
     } finally {
       //  Only use console.log for final goodbye after TUI is destroyed
       console.log(chalk.green("✅ Complete dashboard stopped cleanly"))
+      await logger.forceFlush()
       process.exit(0)
     }
   }
@@ -481,13 +1721,23 @@ class CompleteDashboard {
   showFinalStatistics() {
     const uptime = Math.round((Date.now() - this.performanceStats.startTime) / 1000)
     const errorStats = this.errorHandler.getErrorStats()
+    const { diagnostics, cache, collectors } = this.getDiagnostics()
+    const formatLatency = ({ p50, p95, max }) => `p50 ${p50 ?? "-"}ms, p95 ${p95 ?? "-"}ms, max ${max ?? "-"}ms`
 
     const finalStats = {
       totalRuntime: uptime,
       totalUpdates: this.performanceStats.totalUpdates,
       averageUpdateTime: this.performanceStats.averageUpdateTime,
       totalErrors: errorStats.totalErrors,
-      cacheHitRate: this.performanceStats.cacheHitRate,
+      cacheHitRate: cache.hitRate,
+      cacheHits: cache.hits,
+      cacheMisses: cache.misses,
+      updateLoop: diagnostics.update,
+      eventLoopLag: diagnostics.eventLoopLag,
+      process: diagnostics.process,
+      collectorLatency: Object.fromEntries(
+        Object.entries(collectors ?? {}).map(([name, stats]) => [name, stats.latency]),
+      ),
       degradedMode: this.degradedMode,
     }
 
@@ -499,7 +1749,15 @@ class CompleteDashboard {
     console.log(`   • Total Updates: ${this.performanceStats.totalUpdates}`)
     console.log(`   • Average Update Time: ${this.performanceStats.averageUpdateTime}ms`)
     console.log(`   • Total Errors: ${errorStats.totalErrors}`)
-    console.log(`   • Cache Hit Rate: ${this.performanceStats.cacheHitRate}%`)
+    console.log(
+      `   • Cache Hit Rate: ${cache.hitRate}% (${cache.hits} hits, ${cache.misses} misses, ${cache.refreshes} refreshes)`,
+    )
+    console.log(`   • Update Loop: ${formatLatency(diagnostics.update)}`)
+    console.log(`   • Event-loop Lag: ${formatLatency(diagnostics.eventLoopLag)}`)
+    console.log(`   • Dashboard Process: ${diagnostics.process.cpuPercent}% CPU, ${diagnostics.process.rssMB} MB RSS`)
+    for (const [name, stats] of Object.entries(collectors ?? {})) {
+      console.log(`   • Collector ${name}: ${formatLatency(stats.latency)}`)
+    }
     console.log(`   • Degraded Mode: ${this.degradedMode ? "Yes" : "No"}`)
   }
 
@@ -512,19 +1770,113 @@ class CompleteDashboard {
       performance: this.performanceStats,
       errors: this.errorHandler.getErrorStats(),
       cache: this.systemInfo.getCacheStats(),
-      config: this.config,
+      alerts: this.alertEngine.getAlertStats(),
+      notifications: this.alertNotifier.getStats(),
+      recording: this.metricsRecorder?.getStats() ?? null,
+      server: this.metricsServer?.getStats() ?? null,
+      agent: this.agentServer?.getStats() ?? null,
+      remote: this.remote?.getStats() ?? null,
+      plugins: this.pluginManager?.getStats() ?? null,
+      collectors: this.scheduler?.getStats() ?? null,
+      diagnostics: this.diagnostics.getStats(),
+      config: this.configManager.getRedacted(), // Served on /stats, which has no authentication
       uptime: Math.round((Date.now() - this.performanceStats.startTime) / 1000),
     }
   }
 }
 
+function parseCliArgs(argv) {
+  const options = {
+    replay: null,
+    once: false,
+    watch: false,
+    tui: true,
+    format: "table",
+    agent: false,
+    listen: null,
+    connect: [],
+    remote: false,
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+
+    switch (arg) {
+      case "--replay":
+        options.replay = argv[++i]
+        if (!options.replay) {
+          throw new Error("--replay requires a recording file or directory")
+        }
+        break
+      case "--once":
+        options.once = true
+        break
+      case "--watch":
+        options.watch = true
+        break
+      case "--no-tui":
+        options.tui = false
+        break
+      case "--format":
+        options.format = argv[++i]
+        if (!headlessFormats[options.format]) {
+          throw new Error(`--format must be one of: ${Object.keys(headlessFormats).join(", ")}`)
+        }
+        break
+      case "--agent":
+        options.agent = true
+        break
+      case "--listen":
+        parseAddress(argv[i + 1] ?? "") // Fail fast on a bad address
+        options.listen = argv[++i]
+        break
+      case "--connect":
+        parseAddress(argv[i + 1] ?? "") // Fail fast on a bad address
+        options.connect.push(argv[++i])
+        break
+      case "--remote":
+        options.remote = true
+        break
+      default:
+        throw new Error(`Unknown option: ${arg}`)
+    }
+  }
+
+  // --once and --watch both print to stdout instead of starting the TUI
+  options.headless = options.once || options.watch || !options.tui
+
+  if (options.once && options.watch) {
+    throw new Error("--once and --watch cannot be combined")
+  }
+  if (options.headless && options.replay) {
+    throw new Error("--replay needs the TUI and cannot be combined with --once, --watch or --no-tui")
+  }
+
+  const clientMode = options.connect.length > 0 || options.remote
+  if (options.agent && (options.headless || options.replay || clientMode)) {
+    throw new Error("--agent cannot be combined with other modes")
+  }
+  if (clientMode && (options.headless || options.replay)) {
+    throw new Error("--connect and --remote need the TUI and cannot be combined with other modes")
+  }
+  if (options.listen && !options.agent) {
+    throw new Error("--listen only applies to --agent")
+  }
+
+  return options
+}
+
 async function main() {
   try {
-    console.log(chalk.blue.bold("🚀 Complete TUI Dashboard v1.0"))
-    console.log(chalk.gray("A professional terminal-based system monitoring dashboard"))
-    console.log(chalk.gray("Features: Real-time monitoring, error handling, performance tracking\n"))
+    const options = parseCliArgs(process.argv.slice(2))
+
+    if (!options.headless && !options.agent) {
+      console.log(chalk.blue.bold("🚀 Complete TUI Dashboard v1.0"))
+      console.log(chalk.gray("A professional terminal-based system monitoring dashboard"))
+      console.log(chalk.gray("Features: Real-time monitoring, error handling, performance tracking\n"))
+    }
 
-    const dashboard = new CompleteDashboard()
+    const dashboard = new CompleteDashboard(options)
     await dashboard.initialize()
   } catch (error) {
     console.error(chalk.red.bold("💥 Application failed to start:"))
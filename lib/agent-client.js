@@ -0,0 +1,186 @@
+import net from "net"
+import { RingBuffer } from "./metrics-history.js"
+import { PROTOCOL_VERSION, encodeMessage, createMessageReader, signNonce, parseAddress } from "./agent-protocol.js"
+import { logger } from "./logger.js"
+
+export const ConnectionStates = {
+  CONNECTING: "connecting",
+  CONNECTED: "connected",
+  DISCONNECTED: "disconnected", // Will retry
+  REJECTED: "rejected", // Agent refused the handshake, will retry
+}
+
+//  One subscription to a remote agent, reconnecting with backoff
+export class AgentClient {
+  constructor(options, capacity) {
+    const { host, port } = parseAddress(options.address)
+
+    this.host = host
+    this.port = port
+    this.address = `${host}:${port}`
+    this.configuredName = options.name || null
+    this.token = options.token ?? ""
+
+    this.name = this.configuredName || this.address // Replaced by the agent's name after the handshake
+    this.interval = null
+    this.state = ConnectionStates.DISCONNECTED
+    this.lastError = null
+    this.samples = new RingBuffer(capacity)
+    this.lastReceivedAt = null // Local clock, so staleness doesn't depend on the agent's clock
+
+    this.socket = null
+    this.reconnectTimer = null
+    this.reconnectAttempts = 0
+    this.maxReconnectDelay = 30000
+    this.stopped = false
+  }
+
+  connect() {
+    this.stopped = false
+    this.state = ConnectionStates.CONNECTING
+
+    const socket = net.createConnection({ host: this.host, port: this.port })
+    this.socket = socket
+    socket.setEncoding("utf8")
+
+    const read = createMessageReader(
+      (message) => this.handleMessage(message),
+      (error) => {
+        this.lastError = error.message
+        socket.destroy()
+      },
+    )
+
+    socket.on("data", read)
+    socket.on("error", (error) => {
+      this.lastError = error.message
+    })
+    socket.on("close", () => {
+      if (this.socket !== socket) return
+
+      this.socket = null
+      if (this.state !== ConnectionStates.REJECTED) {
+        this.state = ConnectionStates.DISCONNECTED
+      }
+      this.scheduleReconnect()
+    })
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case "challenge": {
+        //  Prove we know the token without sending it
+        const digest = signNonce(this.token, String(message.nonce))
+        this.socket.write(encodeMessage({ type: "auth", version: PROTOCOL_VERSION, digest }))
+        break
+      }
+      case "welcome":
+        this.state = ConnectionStates.CONNECTED
+        this.name = this.configuredName || message.name || this.address
+        this.interval = message.interval
+        this.lastError = null
+        this.reconnectAttempts = 0
+        logger.info("Connected to agent", { address: this.address, name: this.name })
+        break
+      case "sample": {
+        const time = Date.parse(message.sample?.timestamp)
+
+        //  After a reconnect the agent resends its latest sample, which may be one we already have
+        if (!Number.isNaN(time) && time > (this.latest()?.time ?? 0)) {
+          this.samples.push({ ...message.sample, time })
+          this.lastReceivedAt = Date.now()
+        }
+        break
+      }
+      case "error":
+        this.state = ConnectionStates.REJECTED
+        this.lastError = message.message
+        logger.warn("Agent rejected connection", { address: this.address, reason: message.message })
+        break
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.stopped) return
+
+    //  Exponential backoff: 1s, 2s, 4s... capped
+    const delay = Math.min(1000 * 2 ** this.reconnectAttempts, this.maxReconnectDelay)
+    this.reconnectAttempts++
+
+    clearTimeout(this.reconnectTimer)
+    this.reconnectTimer = setTimeout(() => this.connect(), delay)
+  }
+
+  latest() {
+    return this.samples.latest()
+  }
+
+  isStale(now = Date.now()) {
+    return !this.lastReceivedAt || !this.interval || now - this.lastReceivedAt > this.interval * 3
+  }
+
+  close() {
+    this.stopped = true
+    clearTimeout(this.reconnectTimer)
+    this.socket?.destroy()
+    this.socket = null
+    this.state = ConnectionStates.DISCONNECTED
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      address: this.address,
+      state: this.state,
+      stale: this.state === ConnectionStates.CONNECTED && this.isStale(),
+      lastError: this.lastError,
+      lastReceivedAt: this.lastReceivedAt,
+    }
+  }
+}
+
+//  The set of agents a client-mode dashboard follows, with one selected at a time
+export class RemoteHosts {
+  constructor(hosts, capacity) {
+    this.clients = hosts.map((options) => new AgentClient(options, capacity))
+    this.selected = 0
+
+    logger.info("RemoteHosts initialized", { hosts: this.clients.map((client) => client.address) })
+  }
+
+  connectAll() {
+    for (const client of this.clients) {
+      client.connect()
+    }
+  }
+
+  current() {
+    return this.clients[this.selected]
+  }
+
+  select(index) {
+    if (index < 0 || index >= this.clients.length) return false
+
+    this.selected = index
+    return true
+  }
+
+  setCapacity(capacity) {
+    for (const client of this.clients) {
+      client.samples.resize(capacity)
+    }
+  }
+
+  closeAll() {
+    for (const client of this.clients) {
+      client.close()
+    }
+  }
+
+  getStats() {
+    return {
+      selected: this.current().address,
+      hosts: this.clients.map((client) => client.getStatus()),
+    }
+  }
+}
@@ -0,0 +1,74 @@
+import crypto from "crypto"
+
+//  Agents and clients exchange newline-delimited JSON over TCP:
+//    agent  -> client  { type: "challenge", version, nonce }
+//    client -> agent   { type: "auth", version, digest }   digest = HMAC-SHA256(token, nonce)
+//    agent  -> client  { type: "welcome", name, interval }  or  { type: "error", message }
+//    agent  -> client  { type: "sample", sample }           once per update interval
+//  The token itself never crosses the wire.
+
+export const PROTOCOL_VERSION = 1
+export const DEFAULT_AGENT_PORT = 9478
+const MAX_LINE_LENGTH = 1024 * 1024 // A sample is a few KB; anything this big is not ours
+
+export function encodeMessage(message) {
+  return JSON.stringify(message) + "\n"
+}
+
+export function createMessageReader(onMessage, onError) {
+  let buffered = ""
+
+  return (chunk) => {
+    buffered += chunk
+
+    let newline
+    while ((newline = buffered.indexOf("\n")) !== -1) {
+      const line = buffered.slice(0, newline)
+      buffered = buffered.slice(newline + 1)
+
+      if (!line.trim()) continue
+
+      try {
+        onMessage(JSON.parse(line))
+      } catch (error) {
+        onError(new Error(`Malformed message: ${error.message}`))
+        return
+      }
+    }
+
+    if (buffered.length > MAX_LINE_LENGTH) {
+      buffered = ""
+      onError(new Error("Message exceeds maximum length"))
+    }
+  }
+}
+
+export function createNonce() {
+  return crypto.randomBytes(16).toString("hex")
+}
+
+export function signNonce(token, nonce) {
+  return crypto.createHmac("sha256", token).update(nonce).digest("hex")
+}
+
+export function verifyDigest(token, nonce, digest) {
+  const expected = Buffer.from(signNonce(token, nonce), "hex")
+  const actual = Buffer.from(typeof digest === "string" ? digest : "", "hex")
+
+  //  Constant-time compare so the digest can't be guessed byte by byte
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected)
+}
+
+export function parseAddress(address, defaultHost = "127.0.0.1") {
+  const match = /^(?:\[?([^\]]*?)\]?:)?(\d+)$/.exec(String(address).trim())
+  if (!match) {
+    throw new Error(`Invalid address "${address}", expected [host:]port`)
+  }
+
+  const port = Number(match[2])
+  if (port < 1 || port > 65535) {
+    throw new Error(`Invalid port in "${address}"`)
+  }
+
+  return { host: match[1] || defaultHost, port }
+}
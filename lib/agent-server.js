@@ -0,0 +1,164 @@
+import net from "net"
+import os from "os"
+import { DataError } from "./error-handler.js"
+import {
+  PROTOCOL_VERSION,
+  DEFAULT_AGENT_PORT,
+  encodeMessage,
+  createMessageReader,
+  createNonce,
+  verifyDigest,
+} from "./agent-protocol.js"
+import { logger } from "./logger.js"
+
+//  Streams local samples to authenticated dashboard clients
+export class AgentServer {
+  constructor(options = {}, collect) {
+    this.host = options.host ?? "127.0.0.1"
+    this.port = options.port ?? DEFAULT_AGENT_PORT
+    this.token = options.token ?? ""
+    this.name = options.name || os.hostname()
+    this.interval = options.interval ?? 2000
+    this.collect = collect // async () => sample
+
+    this.handshakeTimeout = 5000
+    this.maxBufferedBytes = 1024 * 1024 // Skip samples for clients that can't keep up
+
+    this.server = null
+    this.clients = new Set() // Authenticated sockets
+    this.latestSample = null
+    this.timer = null
+
+    this.stats = { connections: 0, rejected: 0, samplesSent: 0, samplesSkipped: 0 }
+  }
+
+  start() {
+    if (!this.token) {
+      return Promise.reject(new DataError("Agent mode needs a shared token (agent.token or MONIVEX_AGENT_TOKEN)"))
+    }
+
+    return new Promise((resolve, reject) => {
+      this.server = net.createServer((socket) => this.handleConnection(socket))
+
+      this.server.once("error", reject)
+      this.server.listen(this.port, this.host, () => {
+        this.server.off("error", reject)
+        this.server.on("error", (error) => logger.error("Agent server error", { error: error.message }))
+
+        logger.info("Agent listening", { host: this.host, port: this.port, name: this.name })
+        this.scheduleSample(0)
+        resolve()
+      })
+    })
+  }
+
+  handleConnection(socket) {
+    const peer = `${socket.remoteAddress}:${socket.remotePort}`
+    const nonce = createNonce()
+    let authenticated = false
+
+    this.stats.connections++
+    socket.setEncoding("utf8")
+    socket.setNoDelay(true)
+
+    const reject = (message) => {
+      this.stats.rejected++
+      logger.warn("Agent client rejected", { peer, reason: message })
+      socket.end(encodeMessage({ type: "error", message }))
+    }
+
+    //  Drop clients that never finish the handshake
+    const handshakeTimer = setTimeout(() => reject("Handshake timed out"), this.handshakeTimeout)
+
+    const read = createMessageReader(
+      (message) => {
+        // Clients have nothing to say after the handshake
+        if (authenticated || socket.writableEnded) return
+
+        clearTimeout(handshakeTimer)
+
+        if (message.type !== "auth" || message.version !== PROTOCOL_VERSION) {
+          reject(`Expected auth message for protocol version ${PROTOCOL_VERSION}`)
+        } else if (!verifyDigest(this.token, nonce, message.digest)) {
+          reject("Invalid token")
+        } else {
+          authenticated = true
+          this.clients.add(socket)
+          logger.info("Agent client connected", { peer, clients: this.clients.size })
+
+          socket.write(encodeMessage({ type: "welcome", name: this.name, interval: this.interval }))
+          if (this.latestSample) {
+            socket.write(encodeMessage({ type: "sample", sample: this.latestSample }))
+          }
+        }
+      },
+      (error) => {
+        clearTimeout(handshakeTimer)
+        reject(error.message)
+      },
+    )
+
+    socket.on("data", read)
+    socket.on("error", (error) => logger.warn("Agent client socket error", { peer, error: error.message }))
+    socket.on("close", () => {
+      clearTimeout(handshakeTimer)
+      if (this.clients.delete(socket)) {
+        logger.info("Agent client disconnected", { peer, clients: this.clients.size })
+      }
+    })
+
+    socket.write(encodeMessage({ type: "challenge", version: PROTOCOL_VERSION, nonce }))
+  }
+
+  scheduleSample(delay) {
+    //  Chained timeouts so a slow collection never overlaps the next one
+    this.timer = setTimeout(async () => {
+      try {
+        this.latestSample = await this.collect()
+        this.broadcast(encodeMessage({ type: "sample", sample: this.latestSample }))
+      } catch (error) {
+        logger.error("Agent sample collection failed", { error: error.message })
+      }
+
+      if (this.server) {
+        this.scheduleSample(this.interval)
+      }
+    }, delay)
+  }
+
+  broadcast(line) {
+    for (const socket of this.clients) {
+      if (socket.writableLength > this.maxBufferedBytes) {
+        this.stats.samplesSkipped++
+        continue
+      }
+
+      socket.write(line)
+      this.stats.samplesSent++
+    }
+  }
+
+  stop() {
+    clearTimeout(this.timer)
+    if (!this.server) return Promise.resolve()
+
+    const server = this.server
+    this.server = null
+
+    for (const socket of this.clients) {
+      socket.destroy()
+    }
+    this.clients.clear()
+
+    return new Promise((resolve) => {
+      server.close(() => {
+        logger.info("Agent stopped", { host: this.host, port: this.port })
+        resolve()
+      })
+    })
+  }
+
+  getStats() {
+    return { ...this.stats, clients: this.clients.size, host: this.host, port: this.port }
+  }
+}
@@ -0,0 +1,201 @@
+import { logger } from "./logger.js"
+
+export const AlertStates = {
+  OK: "ok", // Below threshold
+  PENDING: "pending", // Above threshold, not yet sustained long enough
+  FIRING: "firing", // Above threshold for the sustained duration
+  RESOLVED: "resolved", // Was firing, dropped below threshold minus hysteresis
+}
+
+//  Each metric maps a collected sample to one or more alert subjects
+const metricSources = {
+  cpu: (sample) => (sample.cpu ? [{ id: "cpu", label: "CPU", value: sample.cpu.usage }] : []),
+  memory: (sample) => (sample.memory ? [{ id: "memory", label: "Memory", value: sample.memory.usagePercent }] : []),
+  disk: (sample) =>
+    (sample.disk || []).map((disk) => ({
+      id: `disk:${disk.mount}`,
+      label: `Disk ${disk.mount}`,
+      value: disk.usagePercent,
+    })),
+  //  Hours until the mount is full at its current growth rate, Infinity once it stops growing so the
+  //  alert resolves. The alert itself reports that as a null value.
+  diskForecast: (sample) =>
+    (sample.disk || [])
+      .filter((disk) => disk.forecast)
+      .map((disk) => ({
+        id: `diskForecast:${disk.mount}`,
+        label: `Disk ${disk.mount} time to full`,
+        value: disk.forecast.hoursToFull ?? Infinity,
+        unit: "h",
+      })),
+}
+
+//  Metrics that alert when the value drops to the threshold instead of rising to it
+const fallingMetrics = new Set(["diskForecast"])
+
+export class AlertEngine {
+  constructor(rules = {}) {
+    this.rules = rules
+    this.alerts = new Map() // Alert id -> state record
+    this.maxResolved = 20
+
+    logger.info("AlertEngine initialized", { rules: Object.keys(rules) })
+  }
+
+  setRules(rules) {
+    this.rules = rules
+
+    //  Drop state for metrics that were disabled or removed
+    for (const [id, alert] of this.alerts.entries()) {
+      if (!this.rules[alert.metric]?.enabled) {
+        this.alerts.delete(id)
+      }
+    }
+
+    logger.info("Alert rules updated", { rules: Object.keys(rules) })
+  }
+
+  evaluate(sample, now = Date.now()) {
+    const transitions = []
+
+    for (const [metric, rule] of Object.entries(this.rules)) {
+      if (!rule.enabled || !metricSources[metric]) continue
+
+      const subjects = metricSources[metric](sample)
+      for (const subject of subjects) {
+        const transition = this.evaluateSubject(metric, rule, subject, now)
+        if (transition) {
+          transitions.push(transition)
+        }
+      }
+
+      //  No subjects at all means the collection failed, not that every mount or interface left
+      if (subjects.length > 0) {
+        transitions.push(...this.dropMissingSubjects(metric, new Set(subjects.map((subject) => subject.id)), now))
+      }
+    }
+
+    this.pruneResolved()
+    return transitions
+  }
+
+  evaluateSubject(metric, rule, subject, now) {
+    const alert = this.alerts.get(subject.id) || {
+      id: subject.id,
+      metric,
+      label: subject.label,
+      state: AlertStates.OK,
+      exceededSince: null,
+      firedAt: null,
+      resolvedAt: null,
+    }
+
+    alert.value = Number.isFinite(subject.value) ? subject.value : null // Infinity doesn't survive JSON
+    alert.unit = subject.unit ?? "%"
+    alert.threshold = rule.threshold
+    this.alerts.set(subject.id, alert)
+
+    const previousState = alert.state
+    const sustainedMs = (rule.sustainedFor || 0) * 1000
+    const falling = fallingMetrics.has(metric)
+    const exceeds = falling ? subject.value <= rule.threshold : subject.value >= rule.threshold
+    const recovered = falling
+      ? subject.value > rule.threshold + (rule.hysteresis || 0)
+      : subject.value < rule.threshold - (rule.hysteresis || 0)
+
+    if (alert.state === AlertStates.FIRING) {
+      //  Hysteresis: only resolve once the value is clearly back on the right side of the threshold
+      if (recovered) {
+        alert.state = AlertStates.RESOLVED
+        alert.resolvedAt = now
+        alert.exceededSince = null
+      }
+    } else if (exceeds) {
+      alert.exceededSince = alert.exceededSince ?? now
+      alert.state = now - alert.exceededSince >= sustainedMs ? AlertStates.FIRING : AlertStates.PENDING
+
+      if (alert.state === AlertStates.FIRING) {
+        alert.firedAt = now
+        alert.resolvedAt = null
+      }
+    } else if (alert.state === AlertStates.PENDING) {
+      //  Went back under the threshold before it was sustained
+      alert.state = AlertStates.OK
+      alert.exceededSince = null
+    }
+
+    if (alert.state === previousState) {
+      return null
+    }
+
+    if (alert.state === AlertStates.FIRING) {
+      logger.warn(`Alert firing: ${alert.label}`, { value: alert.value, threshold: alert.threshold })
+    } else if (alert.state === AlertStates.RESOLVED) {
+      logger.info(`Alert resolved: ${alert.label}`, { value: alert.value, threshold: alert.threshold })
+    }
+
+    return { alert: { ...alert }, from: previousState, to: alert.state }
+  }
+
+  //  Unmounted filesystems and removed interfaces send no more samples that could resolve them
+  dropMissingSubjects(metric, ids, now) {
+    const transitions = []
+
+    for (const [id, alert] of this.alerts.entries()) {
+      if (alert.metric !== metric || ids.has(id) || alert.state === AlertStates.RESOLVED) continue
+
+      if (alert.state === AlertStates.FIRING) {
+        const previousState = alert.state
+        alert.state = AlertStates.RESOLVED
+        alert.resolvedAt = now
+        alert.exceededSince = null
+        logger.info(`Alert resolved: ${alert.label} is gone`, { threshold: alert.threshold })
+        transitions.push({ alert: { ...alert }, from: previousState, to: alert.state })
+      } else {
+        this.alerts.delete(id)
+      }
+    }
+
+    return transitions
+  }
+
+  pruneResolved() {
+    const resolved = Array.from(this.alerts.values())
+      .filter((alert) => alert.state === AlertStates.RESOLVED)
+      .sort((a, b) => b.resolvedAt - a.resolvedAt)
+
+    //  Keep only the most recent resolved alerts
+    for (const alert of resolved.slice(this.maxResolved)) {
+      this.alerts.delete(alert.id)
+    }
+  }
+
+  reset() {
+    this.alerts.clear()
+  }
+
+  getActiveAlerts() {
+    return Array.from(this.alerts.values()).filter(
+      (alert) => alert.state === AlertStates.FIRING || alert.state === AlertStates.PENDING,
+    )
+  }
+
+  getResolvedAlerts() {
+    return Array.from(this.alerts.values()).filter((alert) => alert.state === AlertStates.RESOLVED)
+  }
+
+  isFiring(metric) {
+    return Array.from(this.alerts.values()).some(
+      (alert) => alert.metric === metric && alert.state === AlertStates.FIRING,
+    )
+  }
+
+  getAlertStats() {
+    const alerts = Array.from(this.alerts.values())
+    return {
+      firing: alerts.filter((alert) => alert.state === AlertStates.FIRING).length,
+      pending: alerts.filter((alert) => alert.state === AlertStates.PENDING).length,
+      resolved: alerts.filter((alert) => alert.state === AlertStates.RESOLVED).length,
+    }
+  }
+}
@@ -0,0 +1,228 @@
+import fs from "fs/promises"
+import http from "http"
+import https from "https"
+import os from "os"
+import path from "path"
+import { spawn } from "child_process"
+import { DashboardError, ErrorTypes, ErrorSeverity } from "./error-handler.js"
+import { AlertStates } from "./alert-engine.js"
+import { logger } from "./logger.js"
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+//  Base class: rate limiting and retry with backoff, subclasses implement send()
+class NotificationSink {
+  constructor(name, options = {}) {
+    this.name = name
+    this.options = options
+    this.maxPerMinute = options.maxPerMinute ?? 10
+    this.retries = options.retries ?? 3
+    this.retryDelay = options.retryDelay ?? 1000
+
+    this.recentDeliveries = [] // Timestamps inside the rate-limit window
+    this.stats = { sent: 0, failed: 0, dropped: 0 }
+  }
+
+  isRateLimited(now = Date.now()) {
+    //  Sliding one-minute window
+    this.recentDeliveries = this.recentDeliveries.filter((timestamp) => now - timestamp < 60000)
+    return this.recentDeliveries.length >= this.maxPerMinute
+  }
+
+  async deliver(payload) {
+    if (this.isRateLimited()) {
+      this.stats.dropped++
+      logger.warn(`Notification dropped by ${this.name} rate limit`, { alert: payload.alert.id })
+      return false
+    }
+
+    this.recentDeliveries.push(Date.now())
+
+    let lastError
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      try {
+        await this.send(payload)
+        this.stats.sent++
+        return true
+      } catch (error) {
+        lastError = error
+        logger.warn(`${this.name} delivery attempt ${attempt + 1} failed`, { error: error.message })
+
+        //  Exponential backoff: delay, 2x delay, 4x delay...
+        if (attempt < this.retries) {
+          await sleep(this.retryDelay * 2 ** attempt)
+        }
+      }
+    }
+
+    this.stats.failed++
+    throw lastError
+  }
+
+  async send() {
+    throw new Error(`${this.name} sink does not implement send()`)
+  }
+}
+
+export class WebhookSink extends NotificationSink {
+  constructor(options) {
+    super("webhook", options)
+    this.url = new URL(options.url)
+    this.timeout = options.timeout ?? 5000
+  }
+
+  send(payload) {
+    const body = JSON.stringify(payload)
+    const client = this.url.protocol === "https:" ? https : http
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(
+        this.url,
+        {
+          method: "POST",
+          timeout: this.timeout,
+          headers: {
+            "Content-Type": "application/json",
+            "Content-Length": Buffer.byteLength(body),
+            ...this.options.headers,
+          },
+        },
+        (response) => {
+          response.resume() // Drain the body so the socket is released
+
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            resolve()
+          } else {
+            reject(new Error(`Webhook responded with HTTP ${response.statusCode}`))
+          }
+        },
+      )
+
+      request.on("timeout", () => request.destroy(new Error(`Webhook timed out after ${this.timeout}ms`)))
+      request.on("error", reject)
+      request.end(body)
+    })
+  }
+}
+
+export class CommandSink extends NotificationSink {
+  constructor(options) {
+    super("command", options)
+    this.command = options.command
+    this.timeout = options.timeout ?? 10000
+  }
+
+  send(payload) {
+    const { alert } = payload
+
+    return new Promise((resolve, reject) => {
+      //  Alert details are available both as env vars and as JSON on stdin
+      const child = spawn(this.command, {
+        shell: true,
+        stdio: ["pipe", "ignore", "pipe"],
+        timeout: this.timeout,
+        env: {
+          ...process.env,
+          ALERT_EVENT: payload.event,
+          ALERT_ID: alert.id,
+          ALERT_METRIC: alert.metric,
+          ALERT_LABEL: alert.label,
+          ALERT_VALUE: alert.value === null ? "" : String(alert.value), // Null once a forecast stops growing
+          ALERT_THRESHOLD: String(alert.threshold),
+          ALERT_HOST: payload.host,
+          ALERT_TIMESTAMP: payload.timestamp,
+        },
+      })
+
+      let stderr = ""
+      child.stderr.on("data", (chunk) => {
+        stderr += chunk
+      })
+
+      child.on("error", reject)
+      child.on("close", (code, signal) => {
+        if (code === 0) {
+          resolve()
+        } else {
+          reject(new Error(`Command exited with ${signal || `code ${code}`}${stderr ? `: ${stderr.trim()}` : ""}`))
+        }
+      })
+
+      child.stdin.on("error", () => {}) // Command may exit without reading stdin
+      child.stdin.end(JSON.stringify(payload))
+    })
+  }
+}
+
+export class FileSink extends NotificationSink {
+  constructor(options) {
+    super("file", options)
+    this.filePath = path.resolve(process.cwd(), options.path)
+  }
+
+  async send(payload) {
+    //  Append-only JSONL: one alert event per line
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true })
+    await fs.appendFile(this.filePath, JSON.stringify(payload) + "\n")
+  }
+}
+
+const sinkTypes = {
+  webhook: WebhookSink,
+  command: CommandSink,
+  file: FileSink,
+}
+
+export class AlertNotifier {
+  constructor(config = {}, errorHandler = null) {
+    this.errorHandler = errorHandler
+    this.sinks = []
+    this.setConfig(config)
+  }
+
+  setConfig(config = {}) {
+    this.sinks = Object.entries(config)
+      .filter(([type, options]) => options.enabled && sinkTypes[type])
+      .map(([type, options]) => new sinkTypes[type](options))
+
+    logger.info("AlertNotifier configured", { sinks: this.sinks.map((sink) => sink.name) })
+  }
+
+  notify(transitions) {
+    //  Only firing and resolved transitions are worth telling anyone about
+    const events = transitions.filter(({ to }) => to === AlertStates.FIRING || to === AlertStates.RESOLVED)
+
+    for (const { alert, to } of events) {
+      const payload = {
+        event: to,
+        alert,
+        host: os.hostname(),
+        timestamp: new Date().toISOString(),
+      }
+
+      //  Deliver in the background so retries never block the update loop
+      for (const sink of this.sinks) {
+        sink.deliver(payload).catch((error) => this.handleDeliveryFailure(sink, payload, error))
+      }
+    }
+  }
+
+  handleDeliveryFailure(sink, payload, error) {
+    const deliveryError = new DashboardError(
+      `Alert delivery via ${sink.name} failed: ${error.message}`,
+      ErrorTypes.NETWORK,
+      ErrorSeverity.MEDIUM,
+      { sink: sink.name, alert: payload.alert.id, attempts: sink.retries + 1, error: error.message },
+    )
+
+    if (this.errorHandler) {
+      this.errorHandler.handleError(deliveryError)
+    } else {
+      logger.error(deliveryError.message, deliveryError.details)
+    }
+  }
+
+  getStats() {
+    return Object.fromEntries(this.sinks.map((sink) => [sink.name, { ...sink.stats }]))
+  }
+}
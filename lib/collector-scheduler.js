@@ -0,0 +1,165 @@
+import { RingBuffer } from "./metrics-history.js"
+import { summarizeLatency } from "./self-diagnostics.js"
+import { logger } from "./logger.js"
+
+//  Runs each collector on its own interval. A tick that arrives while the previous
+//  run is still in flight is skipped, so a slow collector never stacks up or holds
+//  back the others.
+export class CollectorScheduler {
+  constructor(onResult = () => {}) {
+    this.onResult = onResult // (name, data) after every successful run
+    this.collectors = new Map()
+    this.running = false
+    this.latencyWindow = 100
+  }
+
+  register(name, { interval, collect }) {
+    const existing = this.collectors.get(name)
+
+    if (existing) {
+      existing.collect = collect
+      this.reschedule(name, interval)
+      return
+    }
+
+    const collector = {
+      name,
+      interval,
+      collect,
+      timer: null,
+      inFlight: null, // Promise of the current run
+      data: undefined,
+      updatedAt: null,
+      stats: { runs: 0, skipped: 0, failures: 0, lastDuration: 0 },
+      durations: new RingBuffer(this.latencyWindow), // Recent run times in ms, for percentiles
+    }
+
+    this.collectors.set(name, collector)
+
+    //  Collectors added while running (a widget was just enabled) fetch right away
+    if (this.running) {
+      this.startTimer(collector)
+      this.run(collector)
+    }
+  }
+
+  unregister(name) {
+    const collector = this.collectors.get(name)
+    if (!collector) return
+
+    clearInterval(collector.timer)
+    this.collectors.delete(name)
+  }
+
+  has(name) {
+    return this.collectors.has(name)
+  }
+
+  names() {
+    return Array.from(this.collectors.keys())
+  }
+
+  reschedule(name, interval) {
+    const collector = this.collectors.get(name)
+    if (!collector || collector.interval === interval) return
+
+    collector.interval = interval
+    if (this.running) {
+      this.startTimer(collector)
+    }
+
+    logger.info("Collector interval changed", { collector: name, interval })
+  }
+
+  start() {
+    this.running = true
+    for (const collector of this.collectors.values()) {
+      this.startTimer(collector)
+      this.run(collector)
+    }
+
+    logger.info("Collector scheduler started", {
+      collectors: Object.fromEntries(this.names().map((name) => [name, this.collectors.get(name).interval])),
+    })
+  }
+
+  startTimer(collector) {
+    clearInterval(collector.timer)
+    collector.timer = setInterval(() => this.run(collector), collector.interval)
+  }
+
+  stop() {
+    this.running = false
+    for (const collector of this.collectors.values()) {
+      clearInterval(collector.timer)
+      collector.timer = null
+    }
+  }
+
+  run(collector) {
+    if (collector.inFlight) {
+      collector.stats.skipped++
+      logger.debug(`Collector ${collector.name} still running, skipping this tick`)
+      return collector.inFlight
+    }
+
+    collector.inFlight = this.collect(collector).finally(() => {
+      collector.inFlight = null
+    })
+    return collector.inFlight
+  }
+
+  async collect(collector) {
+    const startTime = Date.now()
+
+    try {
+      const data = await collector.collect()
+
+      //  Ignore results from a collector that was unregistered mid-run
+      if (this.collectors.get(collector.name) !== collector) return
+
+      collector.data = data
+      collector.updatedAt = Date.now()
+      collector.stats.runs++
+      this.onResult(collector.name, data)
+    } catch (error) {
+      collector.stats.failures++
+      logger.error(`Collector ${collector.name} failed`, { error: error.message })
+    } finally {
+      collector.stats.lastDuration = Date.now() - startTime
+      collector.durations.push(collector.stats.lastDuration)
+    }
+  }
+
+  runNow(name) {
+    const collector = this.collectors.get(name)
+    return collector ? this.run(collector) : Promise.resolve()
+  }
+
+  //  Resolves when the collector's current run (if any) finishes, without starting one
+  waitFor(name) {
+    return this.collectors.get(name)?.inFlight ?? Promise.resolve()
+  }
+
+  runAll() {
+    return Promise.all(this.names().map((name) => this.runNow(name)))
+  }
+
+  latest(name) {
+    return this.collectors.get(name)?.data
+  }
+
+  getStats() {
+    return Object.fromEntries(
+      Array.from(this.collectors.values()).map((collector) => [
+        collector.name,
+        {
+          interval: collector.interval,
+          updatedAt: collector.updatedAt,
+          ...collector.stats,
+          latency: summarizeLatency(collector.durations.toArray()),
+        },
+      ]),
+    )
+  }
+}
@@ -1,43 +1,569 @@
 import fs from "fs"
 import path from "path"
+import { DataError } from "./error-handler.js"
+import { logger } from "./logger.js"
+import { getThemeNames } from "./themes.js"
+
+//  Shared schema fragments
+const positionValue = { type: ["number", "string"] }
+
+const widgetSchema = {
+  type: "object",
+  properties: {
+    enabled: { type: "boolean" },
+    position: {
+      type: "object",
+      properties: {
+        top: positionValue,
+        left: positionValue,
+        width: positionValue,
+        height: positionValue,
+      },
+    },
+    //  Placement in the responsive grid, position is only used in manual layout mode
+    layout: {
+      type: "object",
+      properties: {
+        span: { type: "number", min: 1 }, // Columns taken, wider than the grid means the whole row
+        minHeight: { type: "number", min: 3 }, // Rows before spare height is shared out
+        priority: { type: "number" }, // Lowest is hidden first when the terminal is too short
+      },
+    },
+  },
+}
+
+const alertSchema = {
+  type: "object",
+  properties: {
+    threshold: { type: "number", min: 0, max: 100 },
+    enabled: { type: "boolean" },
+    sustainedFor: { type: "number", min: 0 }, // Seconds above threshold before firing
+    hysteresis: { type: "number", min: 0 }, // Points below threshold required to resolve
+  },
+}
+
+//  Fires when a filesystem is forecast to fill within threshold hours
+const forecastAlertSchema = {
+  type: "object",
+  properties: {
+    ...alertSchema.properties,
+    threshold: { type: "number", min: 0 }, // Hours to full
+    hysteresis: { type: "number", min: 0 }, // Hours above threshold required to resolve
+  },
+}
+
+//  Color name ("cyan", "brightred"), 256-color index, "#rrggbb" or "default" for the terminal's own color
+const colorValue = { type: ["string", "number"] }
+
+const themeSchema = {
+  type: "object",
+  properties: {
+    extends: { type: "string", enum: getThemeNames() }, // Built-in theme to start from
+    primary: colorValue,
+    success: colorValue,
+    warning: colorValue,
+    error: colorValue,
+    info: colorValue,
+    text: colorValue,
+    background: colorValue,
+    accentText: colorValue,
+    inverseSelection: { type: "boolean" },
+    thresholds: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          above: { type: "number", min: 0, max: 100 }, // Percent
+          color: colorValue, // Palette role like "warning", or a color
+        },
+      },
+    },
+  },
+}
+
+//  How often a collector runs, and how long other readers may reuse its result
+const collectorSchema = {
+  type: "object",
+  properties: {
+    interval: { type: "number", min: 250 },
+    ttl: { type: "number", min: 0 }, // Defaults to the interval
+  },
+}
+
+//  Options shared by every notification sink
+const sinkOptions = {
+  enabled: { type: "boolean" },
+  maxPerMinute: { type: "number", min: 1 }, // Rate limit per sink
+  retries: { type: "number", min: 0 },
+  retryDelay: { type: "number", min: 0 }, // Base backoff in ms, doubled per retry
+  timeout: { type: "number", min: 1 },
+}
+
+//  Schema describing every key dashboard-config.json may contain
+export const configSchema = {
+  type: "object",
+  properties: {
+    updateInterval: { type: "number", min: 250 },
+    maxRetries: { type: "number", min: 0 },
+    theme: { type: "string" }, // Built-in or user theme name, checked in validateThemeName()
+    themes: { type: "object", values: themeSchema }, // User themes by name
+    enableLogging: { type: "boolean" },
+    logRetention: { type: "number", min: 0 },
+    historyMinutes: { type: "number", min: 1 }, // How far back sparklines and charts reach
+    exportDirectory: { type: "string" }, // Where the export command writes snapshots
+    pluginDirectory: { type: "string" }, // Collector plugins loaded at startup
+    layout: {
+      type: "object",
+      properties: {
+        mode: { type: "string", enum: ["grid", "manual"] },
+        breakpoints: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              minWidth: { type: "number", min: 1 }, // Terminal columns needed for this many grid columns
+              columns: { type: "number", min: 1, max: 6 },
+            },
+          },
+        },
+      },
+    },
+    widgets: {
+      type: "object",
+      values: widgetSchema, // Plugin widgets use the plugin's name
+      properties: {
+        cpu: widgetSchema,
+        memory: widgetSchema,
+        disk: widgetSchema,
+        network: widgetSchema,
+        processes: widgetSchema,
+        docker: widgetSchema,
+        alerts: widgetSchema,
+        history: widgetSchema,
+      },
+    },
+    collectors: {
+      type: "object",
+      values: collectorSchema, // Plugins by name, defaulting to the interval they declare
+      properties: {
+        cpu: collectorSchema,
+        memory: collectorSchema,
+        disk: collectorSchema,
+        network: collectorSchema,
+        processes: collectorSchema,
+        docker: collectorSchema,
+        connections: collectorSchema,
+      },
+    },
+    //  Which filesystems the disk widget, alerts and exports see, "*" is a wildcard
+    disks: {
+      type: "object",
+      properties: {
+        includeMounts: { type: "array", items: { type: "string" } }, // Empty means every mount
+        excludeMounts: { type: "array", items: { type: "string" } },
+        includeTypes: { type: "array", items: { type: "string" } }, // Empty means every fs type
+        excludeTypes: { type: "array", items: { type: "string" } },
+        forecast: {
+          type: "object",
+          properties: {
+            windowMinutes: { type: "number", min: 1 }, // How much growth history the forecast fits
+            minMinutes: { type: "number", min: 0 }, // History needed before a forecast is shown
+          },
+        },
+      },
+    },
+    //  Which interfaces the network widget and exports see, and how rates are shown
+    network: {
+      type: "object",
+      properties: {
+        showLoopback: { type: "boolean" },
+        showVirtual: { type: "boolean" }, // Bridges, veth pairs, tunnels
+        includeInterfaces: { type: "array", items: { type: "string" } }, // Shown regardless of the flags above
+        excludeInterfaces: { type: "array", items: { type: "string" } },
+        units: { type: "string", enum: ["bytes", "bits"] }, // Starting units, the b key toggles them
+      },
+    },
+    memory: {
+      type: "object",
+      properties: {
+        units: { type: "string", enum: ["GiB", "GB"] }, // Binary (1024) or decimal (1000) sizes
+      },
+    },
+    alerts: {
+      type: "object",
+      properties: {
+        cpu: alertSchema,
+        memory: alertSchema,
+        disk: alertSchema,
+        diskForecast: forecastAlertSchema,
+      },
+    },
+    recording: {
+      type: "object",
+      properties: {
+        enabled: { type: "boolean" },
+        directory: { type: "string" },
+        maxSegmentSize: { type: "number", min: 1024 }, // Bytes per JSONL segment before rotating
+        segmentMinutes: { type: "number", min: 1 }, // Rotate at least this often
+        maxAgeHours: { type: "number", min: 0 }, // Delete segments older than this
+        maxTotalSize: { type: "number", min: 1024 }, // Delete oldest segments beyond this many bytes
+      },
+    },
+    notifications: {
+      type: "object",
+      properties: {
+        webhook: {
+          type: "object",
+          properties: {
+            ...sinkOptions,
+            url: { type: "string" },
+            headers: { type: "object", values: { type: "string" } },
+          },
+        },
+        command: { type: "object", properties: { ...sinkOptions, command: { type: "string" } } },
+        file: { type: "object", properties: { ...sinkOptions, path: { type: "string" } } },
+      },
+    },
+    server: {
+      type: "object",
+      properties: {
+        enabled: { type: "boolean" },
+        host: { type: "string" },
+        port: { type: "number", min: 1, max: 65535 },
+      },
+    },
+    agent: {
+      type: "object",
+      properties: {
+        host: { type: "string" },
+        port: { type: "number", min: 1, max: 65535 },
+        token: { type: "string" }, // Shared secret, MONIVEX_AGENT_TOKEN overrides it
+        name: { type: "string" }, // Defaults to the hostname
+      },
+    },
+    remoteHosts: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          address: { type: "string" }, // host:port of an agent
+          token: { type: "string" }, // Overrides agent.token for this host
+        },
+      },
+    },
+  },
+}
 
 export class ConfigManager {
   constructor() {
     this.configPath = path.join(process.cwd(), "dashboard-config.json")
     this.defaultConfig = {
       updateInterval: 2000,
+      maxRetries: 3,
       theme: "default",
+      themes: {},
       enableLogging: false,
       logRetention: 1000,
+      historyMinutes: 5,
+      exportDirectory: "exports",
+      pluginDirectory: "plugins",
+      layout: {
+        mode: "grid", // "manual" places widgets at their configured position instead
+        breakpoints: [
+          { minWidth: 120, columns: 3 },
+          { minWidth: 80, columns: 2 },
+        ],
+      },
       widgets: {
-        cpu: { enabled: true, position: { top: 3, left: 0, width: "33%", height: 12 } },
-        memory: { enabled: true, position: { top: 3, left: "33%", width: "34%", height: 12 } },
-        disk: { enabled: true, position: { top: 3, left: "67%", width: "33%", height: 12 } },
-        network: { enabled: true, position: { top: 15, left: 0, width: "50%", height: 10 } },
-        processes: { enabled: true, position: { top: 15, left: "50%", width: "50%", height: 10 } },
-        docker: { enabled: false, position: { top: 25, left: 0, width: "100%", height: 8 } },
+        cpu: {
+          enabled: true,
+          position: { top: 3, left: 0, width: "33%", height: 12 },
+          layout: { span: 1, minHeight: 12, priority: 100 },
+        },
+        memory: {
+          enabled: true,
+          position: { top: 3, left: "33%", width: "34%", height: 12 },
+          layout: { span: 1, minHeight: 12, priority: 90 },
+        },
+        disk: {
+          enabled: true,
+          position: { top: 3, left: "67%", width: "33%", height: 12 },
+          layout: { span: 1, minHeight: 12, priority: 80 },
+        },
+        network: {
+          enabled: true,
+          position: { top: 15, left: 0, width: "50%", height: 10 },
+          layout: { span: 1, minHeight: 10, priority: 60 },
+        },
+        processes: {
+          enabled: true,
+          position: { top: 15, left: "50%", width: "50%", height: 10 },
+          layout: { span: 2, minHeight: 10, priority: 50 },
+        },
+        alerts: {
+          enabled: true,
+          position: { top: 25, left: 0, width: "100%", height: 6 },
+          layout: { span: 3, minHeight: 6, priority: 70 },
+        },
+        docker: {
+          enabled: false,
+          position: { top: 31, left: 0, width: "100%", height: 8 },
+          layout: { span: 3, minHeight: 8, priority: 30 },
+        },
+        history: {
+          enabled: false,
+          position: { top: 39, left: 0, width: "100%", height: 18 },
+          layout: { span: 3, minHeight: 18, priority: 20 },
+        },
+      },
+      //  cpu, memory and network follow updateInterval unless given their own
+      collectors: {
+        disk: { interval: 10000 },
+        processes: { interval: 3000 },
+        docker: { interval: 5000 },
+        connections: { interval: 5000 }, // Only while the connections panel is open
+      },
+      disks: {
+        includeMounts: [],
+        excludeMounts: ["/snap/*", "/var/lib/docker/*"], // Snap packages and container layers
+        includeTypes: [],
+        excludeTypes: ["tmpfs", "devtmpfs", "squashfs"],
+        forecast: { windowMinutes: 60, minMinutes: 5 },
+      },
+      network: {
+        showLoopback: false,
+        showVirtual: false,
+        includeInterfaces: [],
+        excludeInterfaces: [],
+        units: "bytes",
+      },
+      memory: {
+        units: "GiB",
       },
       alerts: {
-        cpu: { threshold: 80, enabled: true },
-        memory: { threshold: 85, enabled: true },
-        disk: { threshold: 90, enabled: true },
+        cpu: { threshold: 80, enabled: true, sustainedFor: 10, hysteresis: 5 },
+        memory: { threshold: 85, enabled: true, sustainedFor: 10, hysteresis: 5 },
+        disk: { threshold: 90, enabled: true, sustainedFor: 0, hysteresis: 2 },
+        diskForecast: { threshold: 6, enabled: true, sustainedFor: 300, hysteresis: 1 }, // Full within 6 hours
+      },
+      recording: {
+        enabled: false,
+        directory: "recordings",
+        maxSegmentSize: 5 * 1024 * 1024,
+        segmentMinutes: 60,
+        maxAgeHours: 24,
+        maxTotalSize: 200 * 1024 * 1024,
+      },
+      notifications: {
+        webhook: { enabled: false, url: "http://127.0.0.1:9000/alerts", headers: {}, maxPerMinute: 10, retries: 3 },
+        command: { enabled: false, command: "", maxPerMinute: 10, retries: 1 },
+        file: { enabled: false, path: "logs/alerts.jsonl", maxPerMinute: 60, retries: 2 },
+      },
+      server: {
+        enabled: false,
+        host: "127.0.0.1",
+        port: 9477,
       },
+      agent: {
+        host: "127.0.0.1",
+        port: 9478,
+        token: "",
+        name: "",
+      },
+      remoteHosts: [],
     }
 
+    this.pluginNames = null // Set once plugins load, until then widgets and collectors take any name
     this.config = this.loadConfig()
+    this.lastGoodConfig = this.cloneConfig(this.config)
+
+    //  File watching state for hot reload
+    this.watchInterval = 1000
+    this.watchListener = null
   }
 
   loadConfig() {
+    if (!fs.existsSync(this.configPath)) {
+      return this.cloneConfig(this.defaultConfig)
+    }
+
+    let userConfig
     try {
-      if (fs.existsSync(this.configPath)) {
-        const configData = fs.readFileSync(this.configPath, "utf8")
-        return { ...this.defaultConfig, ...JSON.parse(configData) }
-      }
+      userConfig = JSON.parse(fs.readFileSync(this.configPath, "utf8"))
     } catch (error) {
-      console.error("Error loading config:", error.message)
+      throw new DataError(`Failed to parse ${path.basename(this.configPath)}: ${error.message}`, {
+        configPath: this.configPath,
+      })
+    }
+
+    //  Reject bad keys before they reach the dashboard
+    const problems = [
+      ...this.validateConfig(userConfig),
+      ...this.validateThemeName(userConfig),
+      ...this.validatePluginKeys(userConfig),
+    ]
+    if (problems.length > 0) {
+      throw new DataError(
+        `Invalid ${path.basename(this.configPath)}:\n` + problems.map((problem) => `  - ${problem}`).join("\n"),
+        { configPath: this.configPath, problems },
+      )
+    }
+
+    const config = this.mergeConfig(this.defaultConfig, userConfig)
+
+    //  Configs from before the grid layout place widgets by position, keep honoring them
+    const widgets = userConfig.widgets ?? {}
+    if (userConfig.layout?.mode === undefined && Object.values(widgets).some((widget) => widget.position)) {
+      config.layout.mode = "manual"
+      logger.info("Widget positions configured without a layout mode, using manual layout")
+    }
+
+    return config
+  }
+
+  validateConfig(config, schema = configSchema, keyPath = "") {
+    const problems = []
+    const label = keyPath || "config"
+    const allowedTypes = Array.isArray(schema.type) ? schema.type : [schema.type]
+    const actualType = Array.isArray(config) ? "array" : config === null ? "null" : typeof config
+
+    if (!allowedTypes.includes(actualType)) {
+      problems.push(`${label}: expected ${allowedTypes.join(" or ")}, got ${actualType}`)
+      return problems
+    }
+
+    if (actualType === "number") {
+      if (schema.min !== undefined && config < schema.min) {
+        problems.push(`${label}: must be >= ${schema.min}, got ${config}`)
+      }
+      if (schema.max !== undefined && config > schema.max) {
+        problems.push(`${label}: must be <= ${schema.max}, got ${config}`)
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(config)) {
+      problems.push(`${label}: must be one of ${schema.enum.join(", ")}, got "${config}"`)
+    }
+
+    if (actualType === "array" && schema.items) {
+      config.forEach((item, index) => {
+        problems.push(...this.validateConfig(item, schema.items, `${label}[${index}]`))
+      })
+    }
+
+    if (actualType === "object") {
+      for (const [key, value] of Object.entries(config)) {
+        const childPath = keyPath ? `${keyPath}.${key}` : key
+        const childSchema = schema.properties?.[key] || schema.values
+
+        if (!childSchema) {
+          const known = Object.keys(schema.properties || {}).join(", ")
+          problems.push(`${childPath}: unknown key (expected one of: ${known})`)
+          continue
+        }
+
+        problems.push(...this.validateConfig(value, childSchema, childPath))
+      }
+    }
+
+    return problems
+  }
+
+  validateThemeName(config) {
+    //  The allowed names depend on the user themes in the same file, so the schema can't list them
+    const themeNames = getThemeNames(config.themes && typeof config.themes === "object" ? config.themes : {})
+
+    if (typeof config.theme === "string" && !themeNames.includes(config.theme)) {
+      return [`theme: must be one of ${themeNames.join(", ")}, got "${config.theme}"`]
+    }
+    return []
+  }
+
+  //  Widgets and collectors are keyed by built-in or plugin name, and plugins load after the config
+  validatePluginKeys(config) {
+    if (!this.pluginNames) return []
+
+    const problems = []
+    for (const section of ["widgets", "collectors"]) {
+      const entries = config[section]
+      if (!entries || typeof entries !== "object" || Array.isArray(entries)) continue
+
+      const known = [...Object.keys(configSchema.properties[section].properties), ...this.pluginNames]
+      for (const name of Object.keys(entries)) {
+        if (!known.includes(name)) {
+          problems.push(`${section}.${name}: unknown key (expected one of: ${known.join(", ")})`)
+        }
+      }
+    }
+    return problems
+  }
+
+  //  Returns the problems with the loaded config now that plugin names are known
+  setPluginNames(names) {
+    this.pluginNames = names
+    return this.validatePluginKeys(this.config)
+  }
+
+  mergeConfig(base, overrides) {
+    //  Deep merge so a partial widget entry keeps its default position
+    const result = this.cloneConfig(base)
+
+    for (const [key, value] of Object.entries(overrides)) {
+      const isObject = value && typeof value === "object" && !Array.isArray(value)
+      const baseIsObject = result[key] && typeof result[key] === "object" && !Array.isArray(result[key])
+
+      result[key] = isObject && baseIsObject ? this.mergeConfig(result[key], value) : this.cloneConfig(value)
+    }
+
+    return result
+  }
+
+  cloneConfig(value) {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value))
+  }
+
+  reload() {
+    //  Throws on parse/validation errors, leaving the current config in place
+    const newConfig = this.loadConfig()
+
+    this.lastGoodConfig = this.cloneConfig(this.config)
+    this.config = newConfig
+    return newConfig
+  }
+
+  rollback() {
+    this.config = this.cloneConfig(this.lastGoodConfig)
+    return this.config
+  }
+
+  watch(onReload, onError) {
+    this.unwatch()
+
+    //  watchFile polls, so it survives editors that replace the file on save
+    this.watchListener = (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return
+
+      let newConfig
+      const previousConfig = this.config
+      try {
+        newConfig = this.reload()
+      } catch (error) {
+        onError(error)
+        return
+      }
+
+      onReload(newConfig, previousConfig)
     }
 
-    return { ...this.defaultConfig }
+    fs.watchFile(this.configPath, { interval: this.watchInterval }, this.watchListener)
+  }
+
+  unwatch() {
+    if (this.watchListener) {
+      fs.unwatchFile(this.configPath, this.watchListener)
+      this.watchListener = null
+    }
   }
 
   saveConfig() {
@@ -54,6 +580,25 @@ export class ConfigManager {
     return key.split(".").reduce((obj, k) => obj?.[k], this.config)
   }
 
+  //  The config with secrets masked, for anything served over the network
+  getRedacted() {
+    const config = this.cloneConfig(this.config)
+    const mask = (value) => (value ? "[redacted]" : value) // Empty stays empty, so "not set" still shows
+
+    config.agent.token = mask(config.agent.token)
+    config.remoteHosts = config.remoteHosts.map((host) => ({ ...host, token: mask(host.token) }))
+
+    //  Webhook URLs and headers often carry API keys, and commands can embed credentials
+    const { webhook, command } = config.notifications
+    webhook.url = mask(webhook.url)
+    webhook.headers = Object.fromEntries(
+      Object.entries(webhook.headers ?? {}).map(([name, value]) => [name, mask(value)]),
+    )
+    command.command = mask(command.command)
+
+    return config
+  }
+
   set(key, value) {
     const keys = key.split(".")
     const lastKey = keys.pop()
@@ -66,8 +611,39 @@ export class ConfigManager {
     this.saveConfig()
   }
 
+  registerWidget(name, defaults) {
+    //  Plugin widgets stack below the configured layout unless the plugin places them
+    const { height } = defaults.position
+    const widgetDefaults = {
+      enabled: defaults.enabled,
+      position: { top: this.getLayoutBottom(), left: 0, width: "100%", height: 6, ...defaults.position },
+      layout: { span: 3, minHeight: typeof height === "number" ? height : 6, priority: 40, ...defaults.layout },
+    }
+
+    this.defaultConfig.widgets[name] = widgetDefaults
+
+    //  Keep any overrides the user already set for this widget
+    for (const config of [this.config, this.lastGoodConfig]) {
+      config.widgets[name] = this.mergeConfig(widgetDefaults, config.widgets[name] || {})
+    }
+  }
+
+  getLayoutBottom() {
+    const bottoms = Object.values(this.config.widgets)
+      .filter((widget) => widget.enabled && typeof widget.position?.top === "number")
+      .map((widget) => widget.position.top + (typeof widget.position.height === "number" ? widget.position.height : 0))
+
+    return Math.max(3, ...bottoms) // Below the header at minimum
+  }
+
+  getEnabledWidgets() {
+    return Object.entries(this.config.widgets)
+      .filter(([, widget]) => widget.enabled)
+      .map(([name, widget]) => ({ name, position: widget.position, layout: widget.layout }))
+  }
+
   reset() {
-    this.config = { ...this.defaultConfig }
+    this.config = this.cloneConfig(this.defaultConfig)
     this.saveConfig()
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,80 @@
+import { logger } from "./logger.js"
+
+const HOUR = 60 * 60 * 1000
+
+//  Least-squares slope of used bytes over time, in bytes per millisecond
+function linearSlope(points) {
+  const meanTime = points.reduce((sum, point) => sum + point.timestamp, 0) / points.length
+  const meanUsed = points.reduce((sum, point) => sum + point.used, 0) / points.length
+
+  let covariance = 0
+  let variance = 0
+  for (const point of points) {
+    covariance += (point.timestamp - meanTime) * (point.used - meanUsed)
+    variance += (point.timestamp - meanTime) ** 2
+  }
+
+  return variance > 0 ? covariance / variance : 0
+}
+
+//  Tracks used bytes per mount over a sliding window and extrapolates when each filesystem
+//  fills up. A regression over the whole window rides out single writes and deletes.
+export class DiskForecaster {
+  constructor(options = {}) {
+    this.series = new Map() // Mount -> [{ timestamp, used, available }], oldest first
+    this.setOptions(options)
+  }
+
+  setOptions({ windowMinutes = 60, minMinutes = 5 } = {}) {
+    this.windowMs = windowMinutes * 60 * 1000
+    this.minSpanMs = Math.min(minMinutes * 60 * 1000, this.windowMs)
+
+    logger.info("DiskForecaster configured", { windowMinutes, minMinutes })
+  }
+
+  //  filesystems: [{ mount, used, available }] in bytes, as collected
+  record(filesystems, timestamp = Date.now()) {
+    const mounts = new Set()
+
+    for (const { mount, used, available } of filesystems) {
+      mounts.add(mount)
+
+      const points = this.series.get(mount) ?? []
+      points.push({ timestamp, used, available })
+      while (points.length > 0 && points[0].timestamp < timestamp - this.windowMs) {
+        points.shift()
+      }
+      this.series.set(mount, points)
+    }
+
+    //  Unmounted filesystems start over if they come back
+    for (const mount of this.series.keys()) {
+      if (!mounts.has(mount)) {
+        this.series.delete(mount)
+      }
+    }
+  }
+
+  //  { hoursToFull, bytesPerHour } once the window is long enough, hoursToFull is null unless growing
+  forecast(mount) {
+    const points = this.series.get(mount) ?? []
+    if (points.length < 3 || points[points.length - 1].timestamp - points[0].timestamp < this.minSpanMs) {
+      return null
+    }
+
+    //  Full means nothing left available, which comes before size on filesystems that reserve
+    //  blocks for root (ext4 keeps 5% by default)
+    const bytesPerHour = linearSlope(points) * HOUR
+    const { available } = points[points.length - 1]
+    const hoursToFull = bytesPerHour > 0 ? Math.max(0, available / bytesPerHour) : null
+
+    return {
+      hoursToFull: hoursToFull === null ? null : Math.round(hoursToFull * 10) / 10,
+      bytesPerHour: Math.round(bytesPerHour),
+    }
+  }
+
+  clear() {
+    this.series.clear()
+  }
+}
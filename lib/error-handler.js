@@ -262,7 +262,8 @@ export class ErrorHandler {
     if (this.dashboard.updateInterval) {
       clearInterval(this.dashboard.updateInterval)
 
-      // Double the update interval
+      // Double the configured update interval
+      const reducedInterval = this.dashboard.config.updateInterval * 2
       this.dashboard.updateInterval = setInterval(async () => {
         if (this.dashboard.isRunning) {
           try {
@@ -272,9 +273,9 @@ export class ErrorHandler {
             this.handleError(error, { context: "reduced_frequency_update" })
           }
         }
-      }, 4000) // 4 seconds instead of 2
+      }, reducedInterval)
 
-      logger.info("Update frequency reduced to 4 seconds")
+      logger.info(`Update frequency reduced to ${reducedInterval / 1000} seconds`)
     }
   }
 
@@ -1,4 +1,7 @@
 import blessed from "blessed"
+import fs from "fs/promises"
+import path from "path"
+import { exportFormats } from "./exporters.js"
 export class EventHandler {
   constructor(dashboard, screen, widgets, systemInfo) {
     this.dashboard = dashboard
@@ -6,6 +9,9 @@ export class EventHandler {
     this.widgets = widgets
     this.systemInfo = systemInfo
 
+    //  Open dialogs, which take keys away from the global commands
+    this.dialogs = new Set()
+
     //  Command registry - maps keys to actions
     this.commands = new Map()
     this.setupCommands()
@@ -17,8 +23,8 @@ export class EventHandler {
     //  Define all available commands
     this.commands.set("quit", {
       keys: ["escape", "q", "C-c"],
-      description: "Quit application",
-      execute: () => this.handleQuit(),
+      description: "Quit application (Escape closes panels and zoom first)",
+      execute: (ch, key) => this.handleQuit(key),
     })
 
     this.commands.set("refresh", {
@@ -51,15 +57,194 @@ export class EventHandler {
       execute: () => this.handleClearCache(),
     })
 
+    this.commands.set("toggle-diagnostics", {
+      keys: ["d"],
+      description: "Toggle self-diagnostics",
+      execute: () => this.dashboard.toggleDiagnostics(),
+    })
+
+    this.commands.set("cycle-theme", {
+      keys: ["t"],
+      description: "Cycle color theme",
+      execute: () => this.handleCycleTheme(),
+    })
+
+    //  Widget focus and zoom, the focused widget scrolls with the arrow keys
+    this.commands.set("focus-next", {
+      keys: ["tab"],
+      description: "Focus next widget",
+      execute: () => this.dashboard.cycleFocus(1),
+    })
+
+    this.commands.set("focus-previous", {
+      keys: ["S-tab"],
+      description: "Focus previous widget",
+      execute: () => this.dashboard.cycleFocus(-1),
+    })
+
+    this.commands.set("zoom", {
+      keys: ["enter"],
+      description: "Zoom focused widget",
+      execute: () => this.handleZoom(),
+    })
+
+    //  Network widget: which interface is graphed, and bytes or bits per second
+    this.commands.set("interface-next", {
+      keys: ["i"],
+      description: "Graph next network interface",
+      execute: () => this.handleSelectInterface(1),
+    })
+
+    this.commands.set("interface-previous", {
+      keys: ["S-i"],
+      description: "Graph previous network interface",
+      execute: () => this.handleSelectInterface(-1),
+    })
+
+    this.commands.set("toggle-network-units", {
+      keys: ["b"],
+      description: "Show network rates in bytes or bits",
+      execute: () => this.handleToggleNetworkUnits(),
+    })
+
+    this.commands.set("toggle-connections", {
+      keys: ["n"],
+      description: "Toggle network connections panel",
+      execute: () => this.handleToggleConnections(),
+    })
+
+    //  Process table: top-style sort keys, filter and kill
+    const sortKeys = { cpu: "S-p", mem: "S-m", pid: "S-n", user: "S-u" }
+    for (const [column, key] of Object.entries(sortKeys)) {
+      this.commands.set(`sort-${column}`, {
+        keys: [key],
+        description: `Sort processes by ${column}`,
+        execute: () => this.handleSortProcesses(column),
+      })
+    }
+
+    this.commands.set("filter-processes", {
+      keys: ["/"],
+      description: "Filter processes (connections while that panel is open)",
+      execute: () => (this.dashboard.showConnections ? this.handleFilterConnections() : this.handleFilterProcesses()),
+    })
+
+    this.commands.set("kill-process", {
+      keys: ["k"],
+      description: "Kill selected process",
+      execute: () => this.handleKillProcess(),
+    })
+
+    //  Playback controls only exist in replay mode
+    if (this.dashboard.replay) {
+      this.setupReplayCommands()
+    }
+
+    //  Host switching only exists in client mode
+    if (this.dashboard.remote) {
+      this.setupRemoteCommands()
+    }
+
     console.log(`📋 Registered ${this.commands.size} commands`)
   }
 
+  setupReplayCommands() {
+    const replay = this.dashboard.replay
+
+    this.commands.set("replay-pause", {
+      keys: ["space"],
+      description: "Pause/resume replay",
+      execute: () => this.handleReplayControl(() => (replay.togglePause() ? "Replay paused" : "Replay resumed")),
+    })
+
+    this.commands.set("replay-step-forward", {
+      keys: ["."],
+      description: "Step one sample forward",
+      execute: () => this.handleReplayControl(() => replay.step(1)),
+    })
+
+    this.commands.set("replay-step-back", {
+      keys: [","],
+      description: "Step one sample back",
+      execute: () => this.handleReplayControl(() => replay.step(-1)),
+    })
+
+    this.commands.set("replay-faster", {
+      keys: ["+", "="],
+      description: "Double replay speed",
+      execute: () => this.handleReplayControl(() => `Replay speed x${replay.changeSpeed(2)}`),
+    })
+
+    this.commands.set("replay-slower", {
+      keys: ["-"],
+      description: "Halve replay speed",
+      execute: () => this.handleReplayControl(() => `Replay speed x${replay.changeSpeed(0.5)}`),
+    })
+
+    this.commands.set("replay-seek-forward", {
+      keys: ["]"],
+      description: "Seek forward 1 minute",
+      execute: () => this.handleReplayControl(() => replay.seek(60 * 1000)),
+    })
+
+    this.commands.set("replay-seek-back", {
+      keys: ["["],
+      description: "Seek back 1 minute",
+      execute: () => this.handleReplayControl(() => replay.seek(-60 * 1000)),
+    })
+
+    this.commands.set("replay-start", {
+      keys: ["home"],
+      description: "Jump to start of recording",
+      execute: () => this.handleReplayControl(() => replay.seekTo(replay.getStartTime())),
+    })
+
+    this.commands.set("replay-end", {
+      keys: ["end"],
+      description: "Jump to end of recording",
+      execute: () => this.handleReplayControl(() => replay.seekTo(replay.getEndTime())),
+    })
+  }
+
+  setupRemoteCommands() {
+    this.commands.set("host-next", {
+      keys: [">"],
+      description: "Next remote host",
+      execute: () => this.handleSwitchHost(() => this.dashboard.cycleRemoteHost(1)),
+    })
+
+    this.commands.set("host-previous", {
+      keys: ["<"],
+      description: "Previous remote host",
+      execute: () => this.handleSwitchHost(() => this.dashboard.cycleRemoteHost(-1)),
+    })
+
+    const hostCount = Math.min(this.dashboard.remote.clients.length, 9)
+    if (hostCount > 1) {
+      this.commands.set("host-select", {
+        keys: Array.from({ length: hostCount }, (_, index) => String(index + 1)),
+        description: "Jump to remote host by number",
+        execute: (ch) => this.handleSwitchHost(() => this.dashboard.selectRemoteHost(Number(ch) - 1)),
+      })
+    }
+
+    this.commands.set("host-overview", {
+      keys: ["o"],
+      description: "Toggle host overview grid",
+      execute: () => this.dashboard.toggleHostOverview(),
+    })
+  }
+
   registerEvents() {
     //  Register each command's key bindings
     for (const [commandName, command] of this.commands) {
-      this.screen.key(command.keys, () => {
+      this.screen.key(command.keys, (ch, key) => {
+        //  Screen keys fire before the focused dialog's, so "n" or Escape meant for a dialog
+        //  would also open the connections panel or stack another quit prompt
+        if (this.dialogs.size > 0 && key.full !== "C-c") return
+
         console.log(`🎯 Command executed: ${commandName}`)
-        command.execute()
+        command.execute(ch, key)
       })
     }
 
@@ -70,7 +255,17 @@ export class EventHandler {
     console.log("✅ All event handlers registered")
   }
 
-  handleQuit() {
+  handleQuit(key = null) {
+    //  Escape closes the connections panel and backs out of a zoomed widget before it offers to quit
+    if (key?.name === "escape" && this.dashboard.showConnections) {
+      this.handleToggleConnections()
+      return
+    }
+    if (key?.name === "escape" && this.dashboard.zoomedWidget) {
+      this.handleZoom()
+      return
+    }
+
     console.log("🚪 Quit command received")
 
     // 🎓 LEARNING: Show confirmation dialog for safety
@@ -86,11 +281,8 @@ export class EventHandler {
     this.showStatusMessage("Refreshing data...", "info")
 
     try {
-      // Clear cache to force fresh data
-      this.systemInfo.cache.clear()
-
-      // Trigger dashboard update
-      await this.dashboard.updateDisplay()
+      // Re-run collectors and trigger dashboard update
+      await this.dashboard.refresh()
       this.screen.render()
 
       // Show success message
@@ -113,12 +305,14 @@ export class EventHandler {
     }
 
     helpContent += "\n{bold}System Info:{/bold}\n"
-    helpContent += "• Updates every 2 seconds\n"
+    helpContent += `• Updates every ${this.dashboard.config.updateInterval / 1000} seconds\n`
     helpContent += "• Data is cached for performance\n"
     helpContent += "• All metrics are real-time\n\n"
     helpContent += "{center}Press any key to close{/center}"
 
-    this.showModalDialog("Help", helpContent)
+    //  Size the dialog to fit the command list
+    const height = Math.min(helpContent.split("\n").length + 2, this.screen.height)
+    this.showModalDialog("Help", helpContent, 60, height)
   }
 
   handleToggleLogging() {
@@ -135,14 +329,22 @@ export class EventHandler {
     console.log(`📝 Logging is now ${status}`)
   }
 
-  async handleExportData() {
+  handleExportData() {
     console.log("💾 Export data command received")
 
-    this.showStatusMessage("Exporting data...", "info")
+    //  Let the user pick a format, then write the snapshot
+    const choices = Object.entries(exportFormats).map(([key, format]) => ({ key, label: format.label }))
+    this.showSelectDialog("Export Format", choices, (choice) => this.exportSnapshot(choice.key))
+  }
+
+  async exportSnapshot(formatKey) {
+    const format = exportFormats[formatKey]
+
+    this.showStatusMessage(`Exporting ${format.label}...`, "info")
 
     try {
       //  Collect current system data
-      const exportData = {
+      const snapshot = {
         timestamp: new Date().toISOString(),
         cpu: await this.systemInfo.getCPUInfo(),
         memory: await this.systemInfo.getMemoryInfo(),
@@ -150,14 +352,14 @@ export class EventHandler {
         network: await this.systemInfo.getNetworkInfo(),
       }
 
-      //  Generate filename with timestamp
-      const filename = `system-data-${Date.now()}.json`
+      //  Generate filename with timestamp inside the configured directory
+      const directory = path.resolve(process.cwd(), this.dashboard.config.exportDirectory)
+      const filename = path.join(directory, `system-data-${Date.now()}.${format.extension}`)
 
-      // In a real app, you'd write to file here
-      // For this tutorial, we'll just show success
-      console.log("💾 Data exported:", exportData)
+      await fs.mkdir(directory, { recursive: true })
+      await fs.writeFile(filename, format.format(snapshot))
 
-      this.showStatusMessage(`Data exported to ${filename}`, "success", 3000)
+      this.showStatusMessage(`Data exported to ${path.relative(process.cwd(), filename)}`, "success", 3000)
     } catch (error) {
       console.error("❌ Export failed:", error.message)
       this.showStatusMessage(`Export failed: ${error.message}`, "error", 3000)
@@ -173,15 +375,157 @@ export class EventHandler {
     this.showStatusMessage(`Cache cleared (${cacheSize} entries)`, "success", 2000)
   }
 
-  showStatusMessage(message, type = "info", duration = 0) {
-    const colors = {
-      info: "blue",
-      success: "green",
-      warning: "yellow",
-      error: "red",
+  handleCycleTheme() {
+    const theme = this.dashboard.cycleTheme()
+
+    if (theme) {
+      this.showStatusMessage(`Theme: ${theme}`, "info", 2000)
+    } else {
+      this.showStatusMessage("NO_COLOR is set, staying monochrome", "warning", 3000)
     }
+  }
 
-    const color = colors[type] || "white"
+  handleZoom() {
+    const zoomed = this.dashboard.toggleZoom()
+    if (zoomed) {
+      this.showStatusMessage(`Zoomed ${zoomed}, Enter or Escape to return`, "info", 2000)
+    }
+  }
+
+  handleToggleConnections() {
+    const shown = this.dashboard.toggleConnections()
+    if (shown === null) {
+      this.showStatusMessage("Connections are only shown for the local machine", "warning", 2000)
+    }
+  }
+
+  handleSelectInterface(step) {
+    const name = this.dashboard.cycleNetworkInterface(step)
+    if (name) {
+      this.showStatusMessage(`Graphing ${name}`, "info", 1500)
+    } else {
+      this.showStatusMessage("No network interfaces to select", "warning", 2000)
+    }
+  }
+
+  handleToggleNetworkUnits() {
+    const units = this.dashboard.toggleNetworkUnits()
+    this.showStatusMessage(`Network rates in ${units} per second`, "info", 1500)
+  }
+
+  handleSortProcesses(column) {
+    const view = this.dashboard.processView
+
+    //  Same column again flips the direction, a new column starts descending
+    view.descending = view.sortBy === column ? !view.descending : true
+    view.sortBy = column
+
+    this.dashboard.renderProcessTable()
+    this.screen.render()
+  }
+
+  handleFilterProcesses() {
+    if (!this.widgets.processes) {
+      this.showStatusMessage("Process widget is disabled", "warning", 2000)
+      return
+    }
+
+    const view = this.dashboard.processView
+    this.showFilterInput("Filter processes", view, this.widgets.processes, () => this.dashboard.renderProcessTable())
+  }
+
+  handleFilterConnections() {
+    const view = this.dashboard.connectionView
+    this.showFilterInput("Filter by port or process", view, this.widgets.connections, () =>
+      this.dashboard.renderConnections(),
+    )
+  }
+
+  //  Edits view.filter in place, calling render after every change and refocusing target when done
+  showFilterInput(title, view, target, render) {
+    const input = blessed.textbox({
+      bottom: 3,
+      left: 0,
+      width: "100%",
+      height: 3,
+      label: ` ${title} (Enter to apply, Escape to clear) `,
+      value: view.filter,
+      inputOnFocus: true,
+      border: {
+        type: "line",
+      },
+      style: this.dialogStyle(),
+    })
+
+    const close = () => {
+      this.screen.remove(input)
+      target.focus()
+      render()
+      this.screen.render()
+    }
+
+    //  Re-filter on every keystroke, after the textbox has applied it
+    input.on("keypress", () => {
+      setImmediate(() => {
+        view.filter = input.getValue()
+        render()
+        this.screen.render()
+      })
+    })
+
+    input.on("submit", close)
+    input.on("cancel", () => {
+      view.filter = ""
+      close()
+    })
+
+    this.screen.append(input)
+    input.focus()
+    this.screen.render()
+  }
+
+  handleKillProcess() {
+    const target = this.dashboard.getSelectedProcess()
+    if (!target) {
+      this.showStatusMessage("No process selected", "warning", 2000)
+      return
+    }
+
+    const command = target.command.length > 30 ? `${target.command.substring(0, 30)}...` : target.command
+
+    this.showConfirmDialog("Kill Process", `Send SIGTERM to PID ${target.pid}?\n${blessed.escape(command)}`, () => {
+      try {
+        process.kill(target.pid, "SIGTERM")
+        this.showStatusMessage(`Sent SIGTERM to PID ${target.pid}`, "success", 3000)
+      } catch (error) {
+        this.showStatusMessage(`Failed to kill PID ${target.pid}: ${error.message}`, "error", 3000)
+      }
+    })
+  }
+
+  async handleReplayControl(action) {
+    //  Apply the control, then redraw right away instead of waiting for the next tick
+    const message = action()
+
+    await this.dashboard.updateDisplay()
+    this.screen.render()
+
+    if (typeof message === "string") {
+      this.showStatusMessage(message, "info", 1500)
+    }
+  }
+
+  handleSwitchHost(select) {
+    const name = select()
+    if (name) {
+      this.showStatusMessage(`Showing ${name}`, "info", 1500)
+    }
+  }
+
+  showStatusMessage(message, type = "info", duration = 0) {
+    //  Message types share their names with palette roles
+    const { theme } = this.dashboard.uiComponents
+    const color = theme[type] || theme.text
 
     //  Update status bar with colored message
     this.widgets.statusBar.setContent(` {${color}-fg}${message}{/${color}-fg}`)
@@ -196,6 +540,23 @@ export class EventHandler {
     }
   }
 
+  //  Dialogs are created on demand, so they always pick up the current theme
+  dialogStyle(borderRole = "primary") {
+    const { theme } = this.dashboard.uiComponents
+    return { fg: theme.text, bg: theme.background, border: { fg: theme[borderRole] } }
+  }
+
+  openDialog(dialog) {
+    this.dialogs.add(dialog)
+    this.screen.append(dialog)
+    dialog.focus()
+  }
+
+  closeDialog(dialog) {
+    this.dialogs.delete(dialog)
+    this.screen.remove(dialog)
+  }
+
   showModalDialog(title, content, width = 60, height = 20) {
     const dialog = blessed.box({
       top: "center",
@@ -208,21 +569,14 @@ export class EventHandler {
       border: {
         type: "line",
       },
-      style: {
-        fg: "white",
-        bg: "black",
-        border: {
-          fg: "cyan",
-        },
-      },
+      style: this.dialogStyle(),
     })
 
-    this.screen.append(dialog)
-    dialog.focus()
+    this.openDialog(dialog)
 
     // 🎓 LEARNING: Close on any key
     dialog.key(["escape", "enter", "space"], () => {
-      this.screen.remove(dialog)
+      this.closeDialog(dialog)
       this.screen.render()
     })
 
@@ -243,27 +597,61 @@ export class EventHandler {
       border: {
         type: "line",
       },
-      style: {
-        fg: "white",
-        bg: "black",
-        border: {
-          fg: "yellow",
-        },
-      },
+      style: this.dialogStyle("warning"),
     })
 
-    this.screen.append(dialog)
-    dialog.focus()
+    this.openDialog(dialog)
 
     //  Handle confirmation keys
     dialog.key(["y"], () => {
-      this.screen.remove(dialog)
+      this.closeDialog(dialog)
       this.screen.render()
       if (onConfirm) onConfirm()
     })
 
     dialog.key(["n", "escape"], () => {
-      this.screen.remove(dialog)
+      this.closeDialog(dialog)
+      this.screen.render()
+      if (onCancel) onCancel()
+    })
+
+    this.screen.render()
+  }
+
+  showSelectDialog(title, choices, onSelect, onCancel = null) {
+    const { theme } = this.dashboard.uiComponents
+    const list = blessed.list({
+      top: "center",
+      left: "center",
+      width: 60,
+      height: choices.length + 2,
+      label: ` ${title} (Enter to select, Escape to cancel) `,
+      items: choices.map((choice) => choice.label),
+      keys: true,
+      tags: true,
+      border: {
+        type: "line",
+      },
+      style: {
+        ...this.dialogStyle(),
+        selected: {
+          fg: theme.background,
+          bg: theme.primary,
+          inverse: Boolean(theme.inverseSelection),
+        },
+      },
+    })
+
+    this.openDialog(list)
+
+    list.on("select", (item, index) => {
+      this.closeDialog(list)
+      this.screen.render()
+      onSelect(choices[index])
+    })
+
+    list.key(["escape"], () => {
+      this.closeDialog(list)
       this.screen.render()
       if (onCancel) onCancel()
     })
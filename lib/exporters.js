@@ -0,0 +1,334 @@
+//  Serializers for a metrics snapshot: { timestamp, cpu, memory, disk, network }
+
+const GB = 1024 * 1024 * 1024
+const MB = 1024 * 1024
+const KB = 1024
+
+export const METRIC_PREFIX = "monivex"
+
+//  Exact byte counts from the collector, or the display-rounded value scaled back up for
+//  recordings and agents from before samples carried them
+function toBytes(exact, rounded, unit) {
+  return exact ?? Math.round(rounded * unit)
+}
+
+export function formatJSON(snapshot) {
+  return JSON.stringify(snapshot, null, 2) + "\n"
+}
+
+function escapeCSV(value) {
+  if (value === undefined || value === null) return ""
+
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const CSV_COLUMNS = [
+  "timestamp",
+  "type",
+  "name",
+  "usage_percent",
+  "size_gb",
+  "used_gb",
+  "available_gb",
+  "rx_kb_per_sec",
+  "tx_kb_per_sec",
+  "rx_total_mb",
+  "tx_total_mb",
+]
+
+export function formatCSV(snapshot) {
+  const { timestamp, cpu, memory, disk = [], network = [] } = snapshot
+  const rows = []
+
+  //  One row per entity; columns that don't apply stay empty
+  if (cpu) {
+    rows.push({ type: "cpu", name: "total", usage_percent: cpu.usage })
+    for (const core of cpu.coreUsage || []) {
+      rows.push({ type: "core", name: `cpu${core.core}`, usage_percent: core.load })
+    }
+  }
+
+  if (memory) {
+    rows.push({
+      type: "memory",
+      name: "ram",
+      usage_percent: memory.usagePercent,
+      size_gb: memory.total,
+      used_gb: memory.used,
+      available_gb: memory.available ?? memory.free,
+    })
+  }
+
+  for (const entry of disk) {
+    rows.push({
+      type: "disk",
+      name: entry.mount,
+      usage_percent: entry.usagePercent,
+      size_gb: entry.size,
+      used_gb: entry.used,
+      available_gb: entry.available,
+    })
+  }
+
+  for (const net of network) {
+    rows.push({
+      type: "network",
+      name: net.interface,
+      rx_kb_per_sec: net.rxRate,
+      tx_kb_per_sec: net.txRate,
+      rx_total_mb: net.rxMB,
+      tx_total_mb: net.txMB,
+    })
+  }
+
+  const lines = rows.map((row) => CSV_COLUMNS.map((column) => escapeCSV({ timestamp, ...row }[column])).join(","))
+  return [CSV_COLUMNS.join(","), ...lines].join("\n") + "\n"
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")
+}
+
+function formatSeries(name, labels, value) {
+  const labelText = Object.entries(labels)
+    .map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`)
+    .join(",")
+
+  return `${name}${labelText ? `{${labelText}}` : ""} ${Number.isFinite(value) ? value : 0}`
+}
+
+export function formatPrometheus(snapshot) {
+  const { cpu, memory, disk = [], network = [] } = snapshot
+  const lines = []
+
+  //  Each metric family gets HELP and TYPE lines followed by its series
+  const family = (name, type, help, series) => {
+    if (series.length === 0) return
+
+    const fullName = `${METRIC_PREFIX}_${name}`
+    lines.push(`# HELP ${fullName} ${help}`, `# TYPE ${fullName} ${type}`)
+    for (const [labels, value] of series) {
+      lines.push(formatSeries(fullName, labels, value))
+    }
+  }
+
+  if (cpu) {
+    family("cpu_usage_percent", "gauge", "Overall CPU load in percent.", [[{}, cpu.usage]])
+    family("cpu_cores", "gauge", "Number of logical CPU cores.", [[{}, cpu.cores]])
+    family(
+      "cpu_core_usage_percent",
+      "gauge",
+      "Per-core CPU load in percent.",
+      (cpu.coreUsage || []).map((core) => [{ core: core.core }, core.load]),
+    )
+  }
+
+  if (memory) {
+    const bytes = memory.bytes ?? {}
+    const memoryGauge = (name, help, exact, rounded) => family(name, "gauge", help, [[{}, toBytes(exact, rounded, GB)]])
+
+    memoryGauge("memory_total_bytes", "Total memory in bytes.", bytes.total, memory.total)
+    memoryGauge("memory_used_bytes", "Used memory in bytes.", bytes.used, memory.used)
+    memoryGauge("memory_free_bytes", "Free memory in bytes.", bytes.free, memory.free)
+    family("memory_usage_percent", "gauge", "Memory usage in percent.", [[{}, memory.usagePercent]])
+
+    //  Older snapshots lack the breakdown
+    if (memory.swap) {
+      const { available, buffcache, swap } = memory
+      memoryGauge("memory_available_bytes", "Memory available to applications in bytes.", bytes.available, available)
+      memoryGauge("memory_buffcache_bytes", "Buffers and page cache in bytes.", bytes.buffcache, buffcache)
+      memoryGauge("swap_total_bytes", "Total swap space in bytes.", bytes.swapTotal, swap.total)
+      memoryGauge("swap_used_bytes", "Used swap space in bytes.", bytes.swapUsed, swap.used)
+    }
+  }
+
+  const diskLabels = (entry) => ({ mount: entry.mount, filesystem: entry.filesystem })
+  family(
+    "disk_size_bytes",
+    "gauge",
+    "Filesystem size in bytes.",
+    disk.map((entry) => [diskLabels(entry), toBytes(entry.bytes?.size, entry.size, GB)]),
+  )
+  family(
+    "disk_used_bytes",
+    "gauge",
+    "Filesystem used space in bytes.",
+    disk.map((entry) => [diskLabels(entry), toBytes(entry.bytes?.used, entry.used, GB)]),
+  )
+  family(
+    "disk_available_bytes",
+    "gauge",
+    "Filesystem available space in bytes.",
+    disk.map((entry) => [diskLabels(entry), toBytes(entry.bytes?.available, entry.available, GB)]),
+  )
+  family(
+    "disk_usage_percent",
+    "gauge",
+    "Filesystem usage in percent.",
+    disk.map((entry) => [diskLabels(entry), entry.usagePercent]),
+  )
+  family(
+    "disk_inodes_usage_percent",
+    "gauge",
+    "Filesystem inode usage in percent.",
+    disk.filter((entry) => entry.inodes).map((entry) => [diskLabels(entry), entry.inodes.usagePercent]),
+  )
+
+  //  Device I/O is only known on Linux from the second sample on
+  const diskIO = disk.filter((entry) => entry.io)
+  const ioLabels = (entry) => ({ ...diskLabels(entry), device: entry.io.device })
+  family(
+    "disk_read_bytes_per_second",
+    "gauge",
+    "Bytes read per second from the device behind the filesystem.",
+    diskIO.map((entry) => [ioLabels(entry), entry.io.readRate * 1024]),
+  )
+  family(
+    "disk_write_bytes_per_second",
+    "gauge",
+    "Bytes written per second to the device behind the filesystem.",
+    diskIO.map((entry) => [ioLabels(entry), entry.io.writeRate * 1024]),
+  )
+  family(
+    "disk_busy_percent",
+    "gauge",
+    "Share of time the device behind the filesystem was busy, in percent.",
+    diskIO.map((entry) => [ioLabels(entry), entry.io.busyPercent]),
+  )
+
+  //  Forecasts need a few minutes of history, and time to full only exists while growing
+  const forecasts = disk.filter((entry) => entry.forecast)
+  family(
+    "disk_growth_bytes_per_hour",
+    "gauge",
+    "Filesystem growth rate fitted over the forecast window.",
+    forecasts.map((entry) => [diskLabels(entry), entry.forecast.bytesPerHour]),
+  )
+  family(
+    "disk_hours_to_full",
+    "gauge",
+    "Forecast hours until the filesystem is full at its current growth rate.",
+    forecasts
+      .filter((entry) => entry.forecast.hoursToFull !== null)
+      .map((entry) => [diskLabels(entry), entry.forecast.hoursToFull]),
+  )
+
+  family(
+    "network_receive_bytes_total",
+    "counter",
+    "Bytes received per interface.",
+    network.map((net) => [{ interface: net.interface }, toBytes(net.bytes?.rx, net.rxMB, MB)]),
+  )
+  family(
+    "network_transmit_bytes_total",
+    "counter",
+    "Bytes transmitted per interface.",
+    network.map((net) => [{ interface: net.interface }, toBytes(net.bytes?.tx, net.txMB, MB)]),
+  )
+  family(
+    "network_receive_rate_bytes",
+    "gauge",
+    "Current receive rate in bytes per second.",
+    network.map((net) => [{ interface: net.interface }, toBytes(net.bytes?.rxPerSecond, net.rxRate, KB)]),
+  )
+  family(
+    "network_transmit_rate_bytes",
+    "gauge",
+    "Current transmit rate in bytes per second.",
+    network.map((net) => [{ interface: net.interface }, toBytes(net.bytes?.txPerSecond, net.txRate, KB)]),
+  )
+
+  //  Link speed is only known for some drivers, and older snapshots lack the counters
+  family(
+    "network_link_speed_bits",
+    "gauge",
+    "Negotiated link speed in bits per second.",
+    network.filter((net) => net.speed).map((net) => [{ interface: net.interface }, net.speed * 1e6]),
+  )
+  const counters = [
+    ["receive_errors", "rxErrors", "Receive errors since boot."],
+    ["transmit_errors", "txErrors", "Transmit errors since boot."],
+    ["receive_drops", "rxDropped", "Received packets dropped since boot."],
+    ["transmit_drops", "txDropped", "Transmitted packets dropped since boot."],
+  ]
+  for (const [name, key, help] of counters) {
+    const series = network
+      .filter((net) => typeof net[key] === "number")
+      .map((net) => [{ interface: net.interface }, net[key]])
+    family(`network_${name}_total`, "counter", help, series)
+  }
+
+  return lines.join("\n") + "\n"
+}
+
+function padRow(cells, widths) {
+  return cells
+    .map((cell, i) => String(cell).padEnd(widths[i]))
+    .join("  ")
+    .trimEnd()
+}
+
+function formatTableRows(header, rows) {
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => String(row[i]).length)))
+  return [padRow(header, widths), ...rows.map((row) => padRow(row, widths))].map((line) => `  ${line}`)
+}
+
+//  Plain-text summary for terminals and cron mails
+export function formatTable(snapshot) {
+  const { timestamp, cpu, memory, disk = [], network = [], alerts = [] } = snapshot
+  const lines = [`Snapshot ${timestamp}`, ""]
+
+  if (cpu) {
+    lines.push(`CPU     ${cpu.usage}% of ${cpu.cores} cores`)
+  }
+  if (memory) {
+    lines.push(`Memory  ${memory.usagePercent}% (${memory.used} / ${memory.total} GB)`)
+  }
+
+  if (disk.length > 0) {
+    lines.push("", "Disks")
+    lines.push(
+      ...formatTableRows(
+        ["MOUNT", "FILESYSTEM", "SIZE GB", "USED GB", "USE%"],
+        disk.map((entry) => [entry.mount, entry.filesystem, entry.size, entry.used, entry.usagePercent]),
+      ),
+    )
+  }
+
+  if (network.length > 0) {
+    lines.push("", "Network")
+    lines.push(
+      ...formatTableRows(
+        ["INTERFACE", "RX KB/S", "TX KB/S", "RX MB", "TX MB"],
+        network.map((net) => [net.interface, net.rxRate, net.txRate, net.rxMB, net.txMB]),
+      ),
+    )
+  }
+
+  lines.push("", "Alerts")
+  if (alerts.length === 0) {
+    lines.push("  none")
+  } else {
+    lines.push(
+      ...formatTableRows(
+        ["STATE", "SUBJECT", "VALUE", "THRESHOLD"],
+        alerts.map(({ state, label, value, threshold, unit = "%" }) => [
+          state.toUpperCase(),
+          label,
+          value === null ? "-" : `${value}${unit}`,
+          `${threshold}${unit}`,
+        ]),
+      ),
+    )
+  }
+
+  return lines.join("\n") + "\n"
+}
+
+//  Formats offered by the export dialog
+export const exportFormats = {
+  json: { label: "JSON", extension: "json", format: formatJSON },
+  csv: { label: "CSV (one row per core, disk and interface)", extension: "csv", format: formatCSV },
+  prometheus: { label: "Prometheus text exposition", extension: "prom", format: formatPrometheus },
+}
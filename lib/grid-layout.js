@@ -0,0 +1,103 @@
+import { logger } from "./logger.js"
+
+//  Arranges widgets in rows of equal-width columns. The column count follows the terminal
+//  width, and when the rows don't fit the height the lowest-priority widgets are left out.
+export class GridLayout {
+  constructor(breakpoints = []) {
+    this.setBreakpoints(breakpoints)
+  }
+
+  setBreakpoints(breakpoints) {
+    //  Widest first so the first match wins, narrower than all of them is a single column
+    this.breakpoints = [...breakpoints].sort((a, b) => b.minWidth - a.minWidth)
+  }
+
+  getColumns(width) {
+    return this.breakpoints.find((breakpoint) => width >= breakpoint.minWidth)?.columns ?? 1
+  }
+
+  //  widgets: [{ name, span, minHeight, priority }] in display order
+  //  area: { top, left, width, height } left free by the header and status bar
+  compute(widgets, area) {
+    const columns = this.getColumns(area.width)
+    let shown = widgets
+    let rows = this.packRows(shown, columns)
+
+    //  Drop the lowest priority (the later one on ties) until the rows fit, keeping at least one
+    while (shown.length > 1 && this.totalHeight(rows) > area.height) {
+      const lowest = shown.reduce((min, widget) => (widget.priority <= min.priority ? widget : min))
+      shown = shown.filter((widget) => widget !== lowest)
+      rows = this.packRows(shown, columns)
+    }
+
+    this.fitHeights(rows, area.height)
+
+    const placements = new Map()
+    const columnWidth = Math.floor(area.width / columns)
+    let top = area.top
+
+    for (const row of rows) {
+      let left = area.left
+      row.items.forEach(({ widget, span }, index) => {
+        //  The last widget in a row stretches to the right edge
+        const isLast = index === row.items.length - 1
+        const width = isLast ? area.left + area.width - left : span * columnWidth
+
+        placements.set(widget.name, { top, left, width, height: row.height })
+        left += width
+      })
+      top += row.height
+    }
+
+    const hidden = widgets.filter((widget) => !shown.includes(widget)).map((widget) => widget.name)
+    logger.debug("Grid layout computed", { columns, rows: rows.length, hidden })
+
+    return { columns, placements, hidden }
+  }
+
+  packRows(widgets, columns) {
+    const rows = []
+    let row = null
+
+    for (const widget of widgets) {
+      //  Spans wider than the grid take the whole row
+      const span = Math.min(widget.span, columns)
+
+      if (!row || row.used + span > columns) {
+        row = { items: [], used: 0, height: 0 }
+        rows.push(row)
+      }
+
+      row.items.push({ widget, span })
+      row.used += span
+      row.height = Math.max(row.height, widget.minHeight)
+    }
+
+    return rows
+  }
+
+  totalHeight(rows) {
+    return rows.reduce((sum, row) => sum + row.height, 0)
+  }
+
+  fitHeights(rows, available) {
+    if (rows.length === 0) return
+
+    const total = this.totalHeight(rows)
+
+    if (total > available) {
+      //  Only a single remaining widget can overflow, squeeze it into what is left
+      rows.forEach((row) => {
+        row.height = Math.max(1, Math.floor((row.height * available) / total))
+      })
+      return
+    }
+
+    //  Share spare lines evenly, the remainder goes to the last row
+    const extra = available - total
+    rows.forEach((row) => {
+      row.height += Math.floor(extra / rows.length)
+    })
+    rows[rows.length - 1].height += extra % rows.length
+  }
+}
@@ -0,0 +1,146 @@
+import { formatJSON, formatCSV, formatTable } from "./exporters.js"
+import { logger } from "./logger.js"
+
+//  Exit codes let scripts and cron jobs use the dashboard as a health check
+export const ExitCodes = {
+  OK: 0,
+  ERROR: 1, // Startup or collection failed
+  MISSING_CAPABILITIES: 2, // A collector (CPU, memory, disk, network) is unavailable
+  THRESHOLD_EXCEEDED: 3, // An alert rule is firing
+}
+
+export const headlessFormats = {
+  json: formatJSON,
+  table: formatTable,
+  csv: formatCSV,
+}
+
+export class HeadlessRunner {
+  constructor(dashboard, options = {}) {
+    this.dashboard = dashboard
+    this.format = options.format || "table"
+    this.watch = !options.once
+    this.timer = null
+    this.samplesPrinted = 0
+    this.missingCapabilities = []
+
+    logger.info("HeadlessRunner initialized", { format: this.format, watch: this.watch })
+  }
+
+  async run() {
+    try {
+      const capabilities = await this.dashboard.validateSystemCapabilities()
+      this.missingCapabilities = Object.keys(capabilities).filter((name) => !capabilities[name])
+    } catch (error) {
+      process.stderr.write(`Capability check failed: ${error.message}\n`)
+      return ExitCodes.MISSING_CAPABILITIES
+    }
+
+    if (this.missingCapabilities.length > 0) {
+      process.stderr.write(`Missing capabilities: ${this.missingCapabilities.join(", ")}\n`)
+    }
+
+    if (!this.watch) {
+      //  A single sample can never be sustained, so one-shot checks compare against the raw threshold
+      const rules = this.dashboard.config.alerts
+      this.dashboard.alertEngine.setRules(
+        Object.fromEntries(Object.entries(rules).map(([metric, rule]) => [metric, { ...rule, sustainedFor: 0 }])),
+      )
+
+      await this.printSample()
+      return this.getExitCode()
+    }
+
+    return this.watchSamples()
+  }
+
+  watchSamples() {
+    this.dashboard.isRunning = true
+
+    return new Promise((resolve) => {
+      const stop = () => {
+        clearTimeout(this.timer)
+        this.timer = null
+        this.dashboard.isRunning = false
+        resolve(this.getExitCode())
+      }
+
+      process.once("SIGINT", stop)
+      process.once("SIGTERM", stop)
+
+      //  Chain timeouts rather than an interval so a slow collection never overlaps the next one
+      const tick = async () => {
+        const startTime = Date.now()
+
+        try {
+          await this.printSample()
+
+          // Keep the same counters as the TUI loop so /stats stays meaningful
+          this.dashboard.updateCount++
+          this.dashboard.updatePerformanceStats(Date.now() - startTime)
+        } catch (error) {
+          logger.error("Headless sample failed", { error: error.message })
+          process.stderr.write(`Sample failed: ${error.message}\n`)
+        }
+
+        if (this.timer !== null) {
+          this.timer = setTimeout(tick, this.dashboard.config.updateInterval)
+        }
+      }
+
+      this.timer = setTimeout(tick, 0)
+    })
+  }
+
+  async printSample() {
+    const { cpuInfo, memoryInfo, diskInfo, networkInfo, sampleTime } = await this.dashboard.collectLiveSample()
+    const sample = { cpu: cpuInfo, memory: memoryInfo, disk: diskInfo, network: networkInfo }
+
+    const transitions = this.dashboard.alertEngine.evaluate(sample, sampleTime)
+    if (this.watch) {
+      this.dashboard.alertNotifier.notify(transitions)
+    }
+
+    const snapshot = {
+      timestamp: new Date(sampleTime).toISOString(),
+      ...sample,
+      alerts: this.dashboard.alertEngine.getActiveAlerts().map(({ id, label, state, value, threshold, unit }) => ({
+        id,
+        label,
+        state,
+        value,
+        threshold,
+        unit,
+      })),
+    }
+
+    process.stdout.write(this.formatSnapshot(snapshot))
+    this.samplesPrinted++
+  }
+
+  formatSnapshot(snapshot) {
+    if (this.watch && this.format === "json") {
+      return JSON.stringify(snapshot) + "\n" // One line per sample
+    }
+
+    const output = headlessFormats[this.format](snapshot)
+
+    if (this.format === "csv" && this.samplesPrinted > 0) {
+      return output.slice(output.indexOf("\n") + 1) // Header only once
+    }
+    if (this.format === "table" && this.samplesPrinted > 0) {
+      return "\n" + output
+    }
+    return output
+  }
+
+  getExitCode() {
+    if (this.missingCapabilities.length > 0) {
+      return ExitCodes.MISSING_CAPABILITIES
+    }
+    if (["cpu", "memory", "disk", "diskForecast"].some((metric) => this.dashboard.alertEngine.isFiring(metric))) {
+      return ExitCodes.THRESHOLD_EXCEEDED
+    }
+    return ExitCodes.OK
+  }
+}
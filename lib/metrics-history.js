@@ -0,0 +1,146 @@
+import { logger } from "./logger.js"
+
+//  Fixed-size FIFO: once full, each push overwrites the oldest entry
+export class RingBuffer {
+  constructor(capacity) {
+    this.capacity = Math.max(1, capacity)
+    this.items = new Array(this.capacity)
+    this.start = 0
+    this.size = 0
+  }
+
+  push(item) {
+    const index = (this.start + this.size) % this.capacity
+
+    this.items[index] = item
+    if (this.size < this.capacity) {
+      this.size++
+    } else {
+      this.start = (this.start + 1) % this.capacity
+    }
+  }
+
+  toArray() {
+    const result = []
+    for (let i = 0; i < this.size; i++) {
+      result.push(this.items[(this.start + i) % this.capacity])
+    }
+    return result
+  }
+
+  latest() {
+    return this.size > 0 ? this.items[(this.start + this.size - 1) % this.capacity] : undefined
+  }
+
+  resize(capacity) {
+    //  Keep the newest entries that still fit
+    const kept = this.toArray().slice(-capacity)
+
+    this.capacity = Math.max(1, capacity)
+    this.items = new Array(this.capacity)
+    this.start = 0
+    this.size = 0
+    kept.forEach((item) => this.push(item))
+  }
+
+  clear() {
+    this.start = 0
+    this.size = 0
+  }
+}
+
+//  Each tracked metric maps a collected sample to a single number
+const metricExtractors = {
+  cpu: (sample) => sample.cpu?.usage,
+  memory: (sample) => sample.memory?.usagePercent,
+  networkRx: (sample) => sample.network?.reduce((sum, net) => sum + net.rxRate, 0),
+  networkTx: (sample) => sample.network?.reduce((sum, net) => sum + net.txRate, 0),
+}
+
+export class MetricsHistory {
+  constructor(capacity) {
+    this.capacity = capacity
+    this.buffers = new Map()
+
+    for (const metric of Object.keys(metricExtractors)) {
+      this.buffers.set(metric, new RingBuffer(capacity))
+    }
+
+    logger.info("MetricsHistory initialized", { capacity, metrics: Array.from(this.buffers.keys()) })
+  }
+
+  static capacityFor(minutes, updateInterval) {
+    return Math.ceil((minutes * 60 * 1000) / updateInterval)
+  }
+
+  record(sample, timestamp = Date.now()) {
+    for (const [metric, extract] of Object.entries(metricExtractors)) {
+      this.push(metric, extract(sample), timestamp)
+    }
+
+    //  Per-interface rates, so the network widget can graph whichever interface is selected
+    const network = sample.network ?? []
+    for (const net of network) {
+      this.push(`networkRx:${net.interface}`, net.rxRate, timestamp)
+      this.push(`networkTx:${net.interface}`, net.txRate, timestamp)
+    }
+
+    //  Interfaces come and go (veth pairs on container hosts), drop the ones that are gone. An
+    //  empty list is a failed collection rather than every interface disappearing.
+    if (network.length > 0) {
+      const current = new Set(network.map((net) => net.interface))
+      for (const metric of this.buffers.keys()) {
+        const [prefix, name] = metric.split(/:(.*)/)
+        if ((prefix === "networkRx" || prefix === "networkTx") && !current.has(name)) {
+          this.buffers.delete(metric)
+        }
+      }
+    }
+  }
+
+  push(metric, value, timestamp) {
+    //  Skip metrics that failed to collect this tick
+    if (typeof value !== "number" || !Number.isFinite(value)) return
+
+    //  Interfaces get their buffers the first time they are seen
+    if (!this.buffers.has(metric)) {
+      this.buffers.set(metric, new RingBuffer(this.capacity))
+    }
+    this.buffers.get(metric).push({ timestamp, value })
+  }
+
+  values(metric) {
+    return (this.buffers.get(metric)?.toArray() || []).map((entry) => entry.value)
+  }
+
+  getStats(metric) {
+    const values = this.values(metric)
+    if (values.length === 0) {
+      return { min: 0, max: 0, avg: 0, latest: 0, samples: 0 }
+    }
+
+    //  Spreading a long history into Math.min/max overflows the call stack
+    return {
+      min: values.reduce((min, value) => Math.min(min, value), Infinity),
+      max: values.reduce((max, value) => Math.max(max, value), -Infinity),
+      avg: Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100,
+      latest: values[values.length - 1],
+      samples: values.length,
+    }
+  }
+
+  setCapacity(capacity) {
+    this.capacity = capacity
+    for (const buffer of this.buffers.values()) {
+      buffer.resize(capacity)
+    }
+
+    logger.info("MetricsHistory capacity changed", { capacity })
+  }
+
+  clear() {
+    for (const buffer of this.buffers.values()) {
+      buffer.clear()
+    }
+  }
+}
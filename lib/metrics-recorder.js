@@ -0,0 +1,131 @@
+import fs from "fs/promises"
+import path from "path"
+import { logger } from "./logger.js"
+
+export const SEGMENT_PREFIX = "metrics-"
+export const SEGMENT_EXTENSION = ".jsonl"
+
+export class MetricsRecorder {
+  constructor(options = {}) {
+    this.directory = path.resolve(process.cwd(), options.directory || "recordings")
+    this.maxSegmentSize = options.maxSegmentSize ?? 5 * 1024 * 1024 // 5MB
+    this.segmentMinutes = options.segmentMinutes ?? 60
+    this.maxAgeHours = options.maxAgeHours ?? 24
+    this.maxTotalSize = options.maxTotalSize ?? 200 * 1024 * 1024 // 200MB
+
+    this.currentSegment = null
+    this.currentSize = 0
+    this.segmentStartedAt = 0
+
+    //  Writes are chained so samples land in order even if a write is slow
+    this.writeQueue = Promise.resolve()
+    this.stats = { recorded: 0, failed: 0, segmentsRotated: 0, segmentsDeleted: 0 }
+
+    logger.info("MetricsRecorder initialized", { directory: this.directory })
+  }
+
+  record(sample) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...sample }) + "\n"
+
+    this.writeQueue = this.writeQueue
+      .then(() => this.writeLine(line))
+      .catch((error) => {
+        this.stats.failed++
+        logger.error("Failed to record metrics sample", { error: error.message })
+      })
+
+    return this.writeQueue
+  }
+
+  async writeLine(line) {
+    const size = Buffer.byteLength(line)
+
+    if (!this.currentSegment || this.shouldRotate(size)) {
+      await this.rotateSegment()
+    }
+
+    await fs.appendFile(this.currentSegment, line)
+    this.currentSize += size
+    this.stats.recorded++
+  }
+
+  shouldRotate(nextWriteSize) {
+    const tooBig = this.currentSize + nextWriteSize > this.maxSegmentSize
+    const tooOld = Date.now() - this.segmentStartedAt >= this.segmentMinutes * 60 * 1000
+    return tooBig || tooOld
+  }
+
+  async rotateSegment() {
+    await fs.mkdir(this.directory, { recursive: true })
+
+    //  ISO timestamps sort chronologically, so segment names do too
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-")
+    const previousSegment = this.currentSegment
+
+    this.currentSegment = path.join(this.directory, `${SEGMENT_PREFIX}${timestamp}${SEGMENT_EXTENSION}`)
+    this.currentSize = 0
+    this.segmentStartedAt = Date.now()
+
+    if (previousSegment) {
+      this.stats.segmentsRotated++
+      logger.info("Metrics segment rotated", { rotatedFrom: previousSegment, newSegment: this.currentSegment })
+    }
+
+    await this.cleanupOldSegments()
+  }
+
+  async listSegments() {
+    const files = await fs.readdir(this.directory)
+
+    const segments = await Promise.all(
+      files
+        .filter((file) => file.startsWith(SEGMENT_PREFIX) && file.endsWith(SEGMENT_EXTENSION))
+        .sort()
+        .map(async (file) => {
+          const filePath = path.join(this.directory, file)
+          const stats = await fs.stat(filePath)
+          return { path: filePath, size: stats.size, modified: stats.mtimeMs }
+        }),
+    )
+
+    return segments // Oldest first
+  }
+
+  async cleanupOldSegments() {
+    try {
+      const segments = (await this.listSegments()).filter((segment) => segment.path !== this.currentSegment)
+      const cutoff = Date.now() - this.maxAgeHours * 60 * 60 * 1000
+
+      //  Age-based: drop segments whose last write is past the retention window
+      const expired = segments.filter((segment) => segment.modified < cutoff)
+      const remaining = segments.filter((segment) => segment.modified >= cutoff)
+
+      //  Size-based: drop the oldest remaining segments until under the cap
+      let totalSize = remaining.reduce((sum, segment) => sum + segment.size, 0)
+      while (remaining.length > 0 && totalSize > this.maxTotalSize) {
+        const oldest = remaining.shift()
+        totalSize -= oldest.size
+        expired.push(oldest)
+      }
+
+      for (const segment of expired) {
+        await fs.unlink(segment.path)
+        this.stats.segmentsDeleted++
+      }
+
+      if (expired.length > 0) {
+        logger.info("Old metrics segments removed", { count: expired.length })
+      }
+    } catch (error) {
+      logger.error("Failed to clean up metrics segments", { error: error.message })
+    }
+  }
+
+  async flush() {
+    await this.writeQueue
+  }
+
+  getStats() {
+    return { ...this.stats, currentSegment: this.currentSegment }
+  }
+}
@@ -0,0 +1,119 @@
+import http from "http"
+import { formatPrometheus } from "./exporters.js"
+import { logger } from "./logger.js"
+
+//  Serves the dashboard's latest sample to Prometheus and health checks
+export class MetricsServer {
+  constructor(dashboard, options = {}) {
+    this.dashboard = dashboard
+    this.host = options.host ?? "127.0.0.1"
+    this.port = options.port ?? 9477
+    this.server = null
+
+    this.routes = {
+      "/metrics": () => this.handleMetrics(),
+      "/healthz": () => this.handleHealth(),
+      "/stats": () => this.handleStats(),
+    }
+
+    this.stats = { requests: 0, notFound: 0, failed: 0 }
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((request, response) => this.handleRequest(request, response))
+
+      this.server.once("error", reject)
+      this.server.listen(this.port, this.host, () => {
+        this.server.off("error", reject)
+        this.server.on("error", (error) => logger.error("Metrics server error", { error: error.message }))
+
+        logger.info("Metrics server listening", { host: this.host, port: this.port })
+        resolve()
+      })
+    })
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve()
+
+    const server = this.server
+    this.server = null
+
+    return new Promise((resolve) => {
+      server.close(() => {
+        logger.info("Metrics server stopped", { host: this.host, port: this.port })
+        resolve()
+      })
+      server.closeAllConnections() // Don't wait for idle keep-alive scrapers
+    })
+  }
+
+  handleRequest(request, response) {
+    this.stats.requests++
+
+    //  Only the path matters, and parsing a full URL would trip over a malformed Host header
+    const pathname = request.url.split("?")[0]
+    const route = this.routes[pathname]
+
+    if (request.method !== "GET" && request.method !== "HEAD") {
+      this.send(response, request, { status: 405, type: "text/plain", body: "Method not allowed\n" })
+      return
+    }
+
+    if (!route) {
+      this.stats.notFound++
+      this.send(response, request, { status: 404, type: "text/plain", body: "Not found\n" })
+      return
+    }
+
+    try {
+      this.send(response, request, route())
+    } catch (error) {
+      this.stats.failed++
+      logger.error("Metrics server request failed", { path: pathname, error: error.message })
+      this.send(response, request, { status: 500, type: "text/plain", body: `${error.message}\n` })
+    }
+  }
+
+  send(response, request, { status, type, body }) {
+    response.writeHead(status, {
+      "Content-Type": `${type}; charset=utf-8`,
+      "Content-Length": Buffer.byteLength(body),
+    })
+    response.end(request.method === "HEAD" ? undefined : body)
+  }
+
+  handleMetrics() {
+    const latest = this.dashboard.latestSample
+    if (!latest) {
+      return { status: 503, type: "text/plain", body: "No sample collected yet\n" }
+    }
+
+    //  Prometheus text exposition format, version 0.0.4
+    return { status: 200, type: "text/plain; version=0.0.4", body: formatPrometheus(latest) }
+  }
+
+  handleHealth() {
+    const latest = this.dashboard.latestSample
+    const age = latest ? Date.now() - latest.time : null
+
+    //  Healthy while the update loop keeps producing samples
+    const healthy = age !== null && age <= this.dashboard.config.updateInterval * 3
+    const body = {
+      status: healthy ? "ok" : latest ? "stale" : "starting",
+      lastSampleAgeMs: age,
+      degradedMode: this.dashboard.degradedMode,
+    }
+
+    return { status: healthy ? 200 : 503, type: "application/json", body: JSON.stringify(body) }
+  }
+
+  handleStats() {
+    return { status: 200, type: "application/json", body: JSON.stringify(this.dashboard.getCompleteStats()) }
+  }
+
+  getStats() {
+    return { ...this.stats, listening: this.server !== null, host: this.host, port: this.port }
+  }
+}
@@ -0,0 +1,113 @@
+import fs from "fs/promises"
+import path from "path"
+import { pathToFileURL } from "url"
+import { logger } from "./logger.js"
+
+//  Plugin names double as widget names and config keys
+const PLUGIN_NAME_PATTERN = /^[a-z][a-z0-9-]*$/
+const PLUGIN_EXTENSIONS = [".js", ".mjs"]
+
+//  Loads collector plugins from a directory. Each module default-exports:
+//    {
+//      name: "queue-depth",                  // widget name and config key
+//      interval: 5000,                       // ms between collections (cache lifetime)
+//      timeout: 5000,                        // ms before collect() counts as failed
+//      collect: async () => data,            // required
+//      format: (data, ui) => "tagged text",  // optional, ui is the UIComponents instance
+//      widget: { label, enabled, position, layout }, // optional default widget options
+//    }
+export class PluginManager {
+  constructor(directory, reservedNames = []) {
+    this.directory = path.resolve(process.cwd(), directory || "plugins")
+    this.reservedNames = new Set(reservedNames) // Built-in widget names
+    this.plugins = new Map()
+    this.failed = [] // { file, error } for plugins that could not be loaded
+  }
+
+  async load() {
+    let files
+    try {
+      const entries = await fs.readdir(this.directory)
+      files = entries.filter((file) => PLUGIN_EXTENSIONS.includes(path.extname(file))).sort()
+    } catch (error) {
+      //  No plugin directory simply means no plugins
+      if (error.code !== "ENOENT") {
+        this.failed.push({ file: this.directory, error })
+      }
+      return this
+    }
+
+    for (const file of files) {
+      const filePath = path.join(this.directory, file)
+
+      try {
+        const module = await import(pathToFileURL(filePath).href)
+        const plugin = this.normalize(module.default ?? module, file)
+
+        this.plugins.set(plugin.name, plugin)
+        logger.info("Plugin loaded", { name: plugin.name, file, interval: plugin.interval })
+      } catch (error) {
+        this.failed.push({ file, error })
+        logger.error("Plugin failed to load", { file, error: error.message })
+      }
+    }
+
+    return this
+  }
+
+  normalize(plugin, file) {
+    if (!plugin || typeof plugin !== "object") {
+      throw new Error("must default-export a plugin object")
+    }
+    if (typeof plugin.name !== "string" || !PLUGIN_NAME_PATTERN.test(plugin.name)) {
+      throw new Error(`name must match ${PLUGIN_NAME_PATTERN}, got ${JSON.stringify(plugin.name)}`)
+    }
+    if (this.reservedNames.has(plugin.name) || this.plugins.has(plugin.name)) {
+      throw new Error(`name "${plugin.name}" is already taken`)
+    }
+    if (typeof plugin.collect !== "function") {
+      throw new Error("collect must be a function")
+    }
+    if (plugin.format !== undefined && typeof plugin.format !== "function") {
+      throw new Error("format must be a function")
+    }
+    for (const key of ["interval", "timeout"]) {
+      if (plugin[key] !== undefined && !(typeof plugin[key] === "number" && plugin[key] > 0)) {
+        throw new Error(`${key} must be a positive number of milliseconds`)
+      }
+    }
+
+    const widget = plugin.widget || {}
+
+    return {
+      name: plugin.name,
+      interval: plugin.interval ?? 5000,
+      timeout: plugin.timeout ?? 5000,
+      collect: plugin.collect,
+      format: plugin.format ?? null,
+      widget: {
+        label: widget.label ?? ` ${plugin.name} `,
+        enabled: widget.enabled ?? true,
+        position: widget.position ?? {},
+        layout: widget.layout ?? {},
+      },
+      file,
+    }
+  }
+
+  get(name) {
+    return this.plugins.get(name)
+  }
+
+  list() {
+    return Array.from(this.plugins.values())
+  }
+
+  getStats() {
+    return {
+      directory: this.directory,
+      loaded: Array.from(this.plugins.keys()),
+      failed: this.failed.map(({ file, error }) => ({ file, error: error.message })),
+    }
+  }
+}
@@ -0,0 +1,169 @@
+import fs from "fs/promises"
+import path from "path"
+import { DataError } from "./error-handler.js"
+import { SEGMENT_PREFIX, SEGMENT_EXTENSION } from "./metrics-recorder.js"
+import { logger } from "./logger.js"
+
+export class ReplaySource {
+  constructor(samples, source = "") {
+    this.samples = samples
+    this.source = source
+    this.index = 0
+    this.position = samples[0].time // Playback clock, in recorded time (ms)
+    this.speed = 1
+    this.paused = false
+    this.lastTick = Date.now()
+    this.seeked = false // Set by seeks and steps until takeSeek(), playback only moves forward
+
+    this.minSpeed = 0.25
+    this.maxSpeed = 64
+  }
+
+  static async load(replayPath) {
+    const resolved = path.resolve(process.cwd(), replayPath)
+    const stats = await fs.stat(resolved)
+
+    //  A directory replays every recorder segment in it, oldest first
+    const files = stats.isDirectory()
+      ? (await fs.readdir(resolved))
+          .filter((file) => file.startsWith(SEGMENT_PREFIX) && file.endsWith(SEGMENT_EXTENSION))
+          .sort()
+          .map((file) => path.join(resolved, file))
+      : [resolved]
+
+    const samples = []
+    let skipped = 0
+
+    for (const file of files) {
+      const lines = (await fs.readFile(file, "utf8")).split("\n").filter((line) => line.trim())
+
+      for (const line of lines) {
+        try {
+          const sample = JSON.parse(line)
+          const time = Date.parse(sample.timestamp)
+          if (Number.isNaN(time)) throw new Error("missing timestamp")
+          samples.push({ ...sample, time })
+        } catch (error) {
+          skipped++ // A crash mid-write can leave a truncated last line
+        }
+      }
+    }
+
+    if (samples.length === 0) {
+      throw new DataError(`No recorded samples found in ${replayPath}`, { files, skipped })
+    }
+
+    samples.sort((a, b) => a.time - b.time)
+    logger.info("Replay loaded", { source: resolved, files: files.length, samples: samples.length, skipped })
+
+    return new ReplaySource(samples, resolved)
+  }
+
+  tick(now = Date.now()) {
+    //  Advance the playback clock by wall-clock time scaled by speed
+    const elapsed = now - this.lastTick
+    this.lastTick = now
+
+    if (this.paused) return
+
+    this.position = Math.min(this.position + elapsed * this.speed, this.getEndTime())
+    this.index = this.findIndex(this.position)
+
+    if (this.isAtEnd()) {
+      this.paused = true
+    }
+  }
+
+  findIndex(time) {
+    //  Binary search for the last sample at or before the given time
+    let low = 0
+    let high = this.samples.length - 1
+
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2)
+      if (this.samples[mid].time <= time) {
+        low = mid
+      } else {
+        high = mid - 1
+      }
+    }
+
+    return low
+  }
+
+  current() {
+    return this.samples[this.index]
+  }
+
+  step(count) {
+    this.paused = true
+    this.index = Math.min(Math.max(this.index + count, 0), this.samples.length - 1)
+    this.position = this.samples[this.index].time
+    this.seeked = true
+  }
+
+  seek(deltaMs) {
+    this.seekTo(this.position + deltaMs)
+  }
+
+  seekTo(time) {
+    this.position = Math.min(Math.max(time, this.getStartTime()), this.getEndTime())
+    this.index = this.findIndex(this.position)
+    this.seeked = true
+  }
+
+  //  Whether the user moved the position since the last call
+  takeSeek() {
+    const seeked = this.seeked
+    this.seeked = false
+    return seeked
+  }
+
+  togglePause() {
+    //  Resuming at the end restarts from the beginning
+    if (this.paused && this.isAtEnd()) {
+      this.seekTo(this.getStartTime())
+    }
+
+    this.paused = !this.paused
+    this.lastTick = Date.now()
+    return this.paused
+  }
+
+  changeSpeed(factor) {
+    this.speed = Math.min(Math.max(this.speed * factor, this.minSpeed), this.maxSpeed)
+    return this.speed
+  }
+
+  isAtEnd() {
+    return this.index === this.samples.length - 1
+  }
+
+  getStartTime() {
+    return this.samples[0].time
+  }
+
+  getEndTime() {
+    return this.samples[this.samples.length - 1].time
+  }
+
+  // Samples leading up to the current position, for rebuilding history after a seek
+  getSamplesBefore(count) {
+    return this.samples.slice(Math.max(0, this.index - count + 1), this.index + 1)
+  }
+
+  // Samples played since the given index, up to and including the current one
+  getSamplesSince(index) {
+    return this.samples.slice(index + 1, this.index + 1)
+  }
+
+  getStatus() {
+    return {
+      index: this.index,
+      total: this.samples.length,
+      position: this.position,
+      speed: this.speed,
+      paused: this.paused,
+    }
+  }
+}
@@ -0,0 +1,79 @@
+import { monitorEventLoopDelay } from "perf_hooks"
+import { RingBuffer } from "./metrics-history.js"
+
+//  p50/p95/max of a list of millisecond durations
+export function summarizeLatency(durations) {
+  if (durations.length === 0) {
+    return { count: 0, p50: null, p95: null, max: null }
+  }
+
+  const sorted = [...durations].sort((a, b) => a - b)
+  const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)]
+
+  return { count: sorted.length, p50: percentile(50), p95: percentile(95), max: sorted[sorted.length - 1] }
+}
+
+//  The dashboard watching itself: update-loop timing, event-loop lag and its own CPU/memory
+export class SelfDiagnostics {
+  constructor(windowSize = 100) {
+    this.updateDurations = new RingBuffer(windowSize) // Most recent update cycles, in ms
+    this.loopResolution = 20 // ms between event-loop delay samples
+    this.loopDelay = monitorEventLoopDelay({ resolution: this.loopResolution })
+
+    this.lastCpuUsage = process.cpuUsage()
+    this.lastCpuTime = Date.now()
+    this.cpuPercent = 0
+  }
+
+  start() {
+    this.loopDelay.enable()
+  }
+
+  stop() {
+    this.loopDelay.disable()
+  }
+
+  recordUpdate(duration) {
+    this.updateDurations.push(duration)
+    this.sampleProcessCPU()
+  }
+
+  sampleProcessCPU() {
+    const now = Date.now()
+    const elapsed = now - this.lastCpuTime
+    if (elapsed <= 0) return
+
+    //  process.cpuUsage() is in microseconds of user + system time
+    const { user, system } = process.cpuUsage(this.lastCpuUsage)
+    this.cpuPercent = Math.round(((user + system) / 1000 / elapsed) * 100 * 10) / 10
+
+    this.lastCpuUsage = process.cpuUsage()
+    this.lastCpuTime = now
+  }
+
+  getEventLoopLag() {
+    //  The histogram records nanoseconds between samples, so an idle loop reads as the resolution
+    const toMs = (ns) => Math.max(0, Math.round((ns / 1e6 - this.loopResolution) * 10) / 10)
+
+    if (this.loopDelay.count === 0) {
+      return { p50: null, p95: null, max: null }
+    }
+
+    return {
+      p50: toMs(this.loopDelay.percentile(50)),
+      p95: toMs(this.loopDelay.percentile(95)),
+      max: toMs(this.loopDelay.max),
+    }
+  }
+
+  getStats() {
+    const { rss, heapUsed } = process.memoryUsage()
+    const toMB = (bytes) => Math.round((bytes / 1024 / 1024) * 10) / 10
+
+    return {
+      update: { last: this.updateDurations.latest() ?? null, ...summarizeLatency(this.updateDurations.toArray()) },
+      eventLoopLag: this.getEventLoopLag(),
+      process: { cpuPercent: this.cpuPercent, rssMB: toMB(rss), heapUsedMB: toMB(heapUsed) },
+    }
+  }
+}
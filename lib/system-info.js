@@ -1,12 +1,62 @@
 
+import fs from "fs/promises"
+import os from "os"
+import path from "path"
 import si from "systeminformation"
+import { DiskForecaster } from "./disk-forecast.js"
 import { logger } from "./logger.js"
 
+//  Mount, fs type and interface patterns, "*" matches anything: "/snap/*", "tmpfs", "veth*"
+const escapeRegExp = (text) => text.replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+const globToRegExp = (glob) => new RegExp(`^${glob.split("*").map(escapeRegExp).join(".*")}$`)
+
+//  A filesystem is shown when it matches an include pattern (or none are set) and no exclude pattern
+export function createDiskFilter(filter = {}) {
+  const { includeMounts = [], excludeMounts = [], includeTypes = [], excludeTypes = [] } = filter
+  const compile = (globs) => globs.map(globToRegExp)
+  const mounts = { include: compile(includeMounts), exclude: compile(excludeMounts) }
+  const types = { include: compile(includeTypes), exclude: compile(excludeTypes) }
+
+  const allowed = ({ include, exclude }, value = "") =>
+    (include.length === 0 || include.some((pattern) => pattern.test(value))) &&
+    !exclude.some((pattern) => pattern.test(value))
+
+  return (disk) => allowed(mounts, disk.mount) && allowed(types, disk.type)
+}
+
+//  Listed includes are shown as they are, otherwise loopback and virtual interfaces need opting in.
+//  Excludes always win.
+export function createInterfaceFilter(filter = {}) {
+  const { showLoopback = false, showVirtual = false, includeInterfaces = [], excludeInterfaces = [] } = filter
+  const include = includeInterfaces.map(globToRegExp)
+  const exclude = excludeInterfaces.map(globToRegExp)
+
+  return ({ iface, internal = false, virtual = false }) => {
+    if (exclude.some((pattern) => pattern.test(iface))) return false
+    if (include.length > 0) return include.some((pattern) => pattern.test(iface))
+
+    return (showLoopback || !internal) && (showVirtual || !virtual)
+  }
+}
+
 export class SystemInfo {
-  constructor() {
+  constructor(dataSource = si) {
     //  Constructor sets up initial state
+    this.dataSource = dataSource // systeminformation, or a stub with the same methods
     this.cache = new Map() // Store cached results
-    this.cacheTimeout = 2000 // Cache for 2 seconds
+    this.cacheTimeout = 2000 // Cache for 2 seconds unless the key has its own TTL
+    this.cacheTTLs = new Map() // Per-key lifetimes, set from the collectors config
+    this.cacheCounters = new Map() // Per-key { hits, misses, refreshes }, kept across cache clears
+    this.pendingRefreshes = new Set() // Keys whose next lookup is a forced refresh, see refresh()
+    this.failures = new Map() // Key -> error message while its last collection failed, see getFailure()
+    this.lastCpuTicks = null // /proc/stat totals from the previous CPU sample, for iowait
+    this.diskFilter = createDiskFilter() // Which filesystems getDiskInfo() reports, see setDiskFilter()
+    this.lastDiskCounters = null // /proc/diskstats from the previous disk sample, for I/O rates
+    this.diskForecaster = new DiskForecaster() // Growth per mount across disk samples, for time to full
+    this.interfaceFilter = createInterfaceFilter() // Which interfaces getNetworkInfo() reports
+    this.interfaceDetailsTTL = 60000 // Link speed and flags rarely change, and reading them spawns tools
+    this.cpuSpec = null // si.cpu() result, model and base clock don't change while we run
+    this.cpuDetailsTTL = 10000 // Frequency and temperature read sysfs or spawn sensors, so refresh them less often
 
     logger.info("SystemInfo initialized")
   }
@@ -27,8 +77,17 @@ export class SystemInfo {
       // We use await to wait for the data
       logger.debug("Fetching fresh CPU data from system...")
 
-      const cpuLoad = await si.currentLoad() // Current CPU usage
-      const cpuInfo = await si.cpu() // CPU specifications
+      //  Frequency and temperature are extras: not every machine reports them
+      const [cpuLoad, cpuInfo, { currentSpeed, temperature }, iowait] = await Promise.all([
+        this.dataSource.currentLoad(), // Current CPU usage
+        this.getCPUSpec(), // CPU specifications
+        this.getCPUDetails(),
+        this.getIOWaitPercent(),
+      ])
+
+      const round = (value) => Math.round(value * 100) / 100
+      const coreSpeeds = currentSpeed?.cores ?? []
+      const coreTemperatures = (temperature?.cores ?? []).filter((value) => typeof value === "number")
 
       //  Transform raw data into our format
       const result = {
@@ -36,12 +95,29 @@ export class SystemInfo {
         usage: Math.round(cpuLoad.currentLoad * 100) / 100,
         cores: cpuLoad.cpus.length,
         model: cpuInfo.model,
-        speed: cpuInfo.speed,
+        speed: cpuInfo.speed, // Base clock in GHz
+
+        //  Percent of CPU time in each state, iowait is null where it can't be read
+        breakdown: {
+          user: round(cpuLoad.currentLoadUser),
+          system: round(cpuLoad.currentLoadSystem),
+          nice: round(cpuLoad.currentLoadNice),
+          irq: round(cpuLoad.currentLoadIrq),
+          steal: round(cpuLoad.currentLoadSteal),
+          iowait,
+          idle: round(cpuLoad.currentLoadIdle),
+        },
+        loadAverage: os.loadavg().map(round), // 1, 5 and 15 minutes
+        frequency: currentSpeed?.avg ? { avg: currentSpeed.avg, min: currentSpeed.min, max: currentSpeed.max } : null, // GHz
+        temperature: typeof temperature?.main === "number" ? { main: temperature.main, max: temperature.max } : null, // °C
 
         //  Array.map() transforms each core's data
         coreUsage: cpuLoad.cpus.map((core, index) => ({
           core: index,
           load: Math.round(core.load * 100) / 100,
+          speed: coreSpeeds[index] || null,
+          //  Sensors report physical cores, logical CPUs wrap around them
+          temperature: coreTemperatures.length > 0 ? coreTemperatures[index % coreTemperatures.length] : null,
         })),
       }
 
@@ -53,6 +129,7 @@ export class SystemInfo {
     } catch (error) {
       //  Always handle errors - system calls can fail
       logger.error("Failed to get CPU info", { error: error.message })
+      this.failures.set(cacheKey, error.message)
 
       // Return safe default values instead of crashing
       return {
@@ -60,11 +137,37 @@ export class SystemInfo {
         cores: 0,
         model: "Unknown",
         speed: 0,
+        breakdown: null,
+        loadAverage: [],
+        frequency: null,
+        temperature: null,
         coreUsage: [],
       }
     }
   }
 
+  //  systeminformation has no iowait (Node's os.cpus() counts it as idle), so on Linux it
+  //  comes from the first line of /proc/stat, as a share of the ticks since the last sample
+  async getIOWaitPercent() {
+    if (process.platform !== "linux") return null
+
+    try {
+      const stat = await fs.readFile("/proc/stat", "utf8")
+
+      //  cpu user nice system idle iowait irq softirq steal (guest time is already in user)
+      const ticks = stat.split("\n")[0].trim().split(/\s+/).slice(1, 9).map(Number)
+      const total = ticks.reduce((sum, value) => sum + value, 0)
+      const previous = this.lastCpuTicks
+      this.lastCpuTicks = { total, iowait: ticks[4] }
+
+      if (!previous || total <= previous.total) return null
+      return Math.round(((ticks[4] - previous.iowait) / (total - previous.total)) * 100 * 100) / 100
+    } catch (error) {
+      logger.debug("Could not read iowait from /proc/stat", { error: error.message })
+      return null
+    }
+  }
+
   async getMemoryInfo() {
     logger.debug("Collecting memory information...")
 
@@ -76,7 +179,7 @@ export class SystemInfo {
     }
 
     try {
-      const memInfo = await si.mem()
+      const memInfo = await this.dataSource.mem()
 
       //  Helper function for byte conversion
       const bytesToGB = (bytes) => {
@@ -84,13 +187,37 @@ export class SystemInfo {
         return Math.round((bytes / 1024 / 1024 / 1024) * 100) / 100
       }
 
+      //  si's "used" counts the page cache, which the kernel hands back on demand. What
+      //  applications hold is total minus available, si calls it "active".
+      const used = memInfo.active ?? memInfo.used
+      const swapPercent = memInfo.swaptotal > 0 ? (memInfo.swapused / memInfo.swaptotal) * 100 : 0
+
       const result = {
         total: bytesToGB(memInfo.total),
-        used: bytesToGB(memInfo.used),
+        used: bytesToGB(used),
         free: bytesToGB(memInfo.free),
+        available: bytesToGB(memInfo.available ?? memInfo.free),
+        buffcache: bytesToGB(memInfo.buffcache ?? 0),
 
         // : Calculate percentage
-        usagePercent: Math.round((memInfo.used / memInfo.total) * 100 * 100) / 100,
+        usagePercent: Math.round((used / memInfo.total) * 100 * 100) / 100,
+
+        swap: {
+          total: bytesToGB(memInfo.swaptotal ?? 0),
+          used: bytesToGB(memInfo.swapused ?? 0),
+          usagePercent: Math.round(swapPercent * 100) / 100,
+        },
+
+        //  Exact values for exporters, the GB figures above are rounded for display
+        bytes: {
+          total: memInfo.total,
+          used,
+          free: memInfo.free,
+          available: memInfo.available ?? memInfo.free,
+          buffcache: memInfo.buffcache ?? 0,
+          swapTotal: memInfo.swaptotal ?? 0,
+          swapUsed: memInfo.swapused ?? 0,
+        },
       }
 
       this.setCache(cacheKey, result)
@@ -99,11 +226,15 @@ export class SystemInfo {
       return result
     } catch (error) {
       logger.error("Failed to get memory info", { error: error.message })
+      this.failures.set(cacheKey, error.message)
       return {
         total: 0,
         used: 0,
         free: 0,
+        available: 0,
+        buffcache: 0,
         usagePercent: 0,
+        swap: { total: 0, used: 0, usagePercent: 0 },
       }
     }
   }
@@ -119,20 +250,39 @@ export class SystemInfo {
     }
 
     try {
-      const diskInfo = await si.fsSize()
+      const [diskInfo, blockDevices, ioRates] = await Promise.all([
+        this.dataSource.fsSize(),
+        this.dataSource.blockDevices().catch(() => []),
+        this.getDiskIORates(),
+      ])
+
+      const toGB = (bytes) => Math.round((bytes / 1024 / 1024 / 1024) * 100) / 100
+      //  Only real disks, not virtual ones, and only those the configured filter lets through
+      const filesystems = diskInfo.filter((disk) => disk.size > 0 && this.diskFilter(disk))
+      this.diskForecaster.record(filesystems)
 
       //  Array methods - filter() and map()
-      const result = diskInfo
-        .filter((disk) => disk.size > 0) // Only real disks, not virtual ones
-        .map((disk) => ({
-          // Transform each disk object
-          filesystem: disk.fs,
-          size: Math.round((disk.size / 1024 / 1024 / 1024) * 100) / 100,
-          used: Math.round((disk.used / 1024 / 1024 / 1024) * 100) / 100,
-          available: Math.round((disk.available / 1024 / 1024 / 1024) * 100) / 100,
-          usagePercent: Math.round(disk.use * 100) / 100,
-          mount: disk.mount,
-        }))
+      const result = await Promise.all(
+        filesystems.map(async (disk) => {
+          //  lsblk knows which device backs a mount, otherwise go by the device path
+          const device = blockDevices.find((block) => block.mount === disk.mount)?.name ?? path.basename(disk.fs)
+
+          return {
+            // Transform each disk object
+            filesystem: disk.fs,
+            type: disk.type,
+            size: toGB(disk.size),
+            used: toGB(disk.used),
+            available: toGB(disk.available),
+            usagePercent: Math.round(disk.use * 100) / 100,
+            mount: disk.mount,
+            inodes: await this.getInodeUsage(disk.mount),
+            io: ioRates?.get(device) ?? null, // Rates need two samples, and Linux
+            forecast: this.diskForecaster.forecast(disk.mount), // Null until enough history
+            bytes: { size: disk.size, used: disk.used, available: disk.available }, // Unrounded, for exporters
+          }
+        }),
+      )
 
       this.setCache(cacheKey, result)
 
@@ -140,10 +290,79 @@ export class SystemInfo {
       return result
     } catch (error) {
       logger.error("Failed to get disk info", { error: error.message })
+      this.failures.set(cacheKey, error.message)
       return []
     }
   }
 
+  //  Some filesystems (btrfs, network mounts) have no fixed inode count, they report null
+  async getInodeUsage(mount) {
+    try {
+      const { files, ffree } = await fs.statfs(mount)
+      if (!files) return null
+
+      const used = files - ffree
+      return { total: files, used, usagePercent: Math.round((used / files) * 100 * 100) / 100 }
+    } catch {
+      return null
+    }
+  }
+
+  //  Per-device rates from /proc/diskstats since the previous sample, keyed by device name.
+  //  si.disksIO() only reports totals over all devices, so Linux reads the counters it sums.
+  async getDiskIORates() {
+    if (process.platform !== "linux") return null
+
+    try {
+      const stats = await fs.readFile("/proc/diskstats", "utf8")
+      const time = Date.now()
+      const devices = new Map()
+
+      //  major minor name reads merged sectorsRead msReading writes merged sectorsWritten msWriting inFlight msBusy ...
+      for (const line of stats.trim().split("\n")) {
+        const [, , name, reads, , sectorsRead, , writes, , sectorsWritten, , , busy] = line.trim().split(/\s+/)
+        devices.set(name, [reads, sectorsRead, writes, sectorsWritten, busy].map(Number))
+      }
+
+      const previous = this.lastDiskCounters
+      this.lastDiskCounters = { time, devices }
+      if (!previous || time <= previous.time) return null
+
+      const seconds = (time - previous.time) / 1000
+      const rate = (value) => Math.round(value / seconds)
+      const rates = new Map()
+
+      for (const [name, [reads, sectorsRead, writes, sectorsWritten, busy]] of devices) {
+        const before = previous.devices.get(name)
+        if (!before) continue
+
+        //  diskstats counts 512-byte sectors regardless of the device's sector size
+        rates.set(name, {
+          device: name,
+          readRate: rate(((sectorsRead - before[1]) * 512) / 1024), // KB/s
+          writeRate: rate(((sectorsWritten - before[3]) * 512) / 1024),
+          readIOPS: rate(reads - before[0]),
+          writeIOPS: rate(writes - before[2]),
+          busyPercent: Math.min(100, Math.round((busy - before[4]) / seconds / 10)), // ms busy per second
+        })
+      }
+
+      return rates
+    } catch (error) {
+      logger.debug("Could not read /proc/diskstats", { error: error.message })
+      return null
+    }
+  }
+
+  setDiskFilter(filter) {
+    this.diskFilter = createDiskFilter(filter)
+    this.invalidate("disk")
+  }
+
+  setDiskForecast(options) {
+    this.diskForecaster.setOptions(options)
+  }
+
   async getNetworkInfo() {
     logger.debug("Collecting network information...")
 
@@ -155,54 +374,322 @@ export class SystemInfo {
     }
 
     try {
-      const networkStats = await si.networkStats()
+      //  "*" asks for every interface, not just the default one
+      const [networkStats, details] = await Promise.all([this.dataSource.networkStats("*"), this.getInterfaceDetails()])
 
       //  Transform network data for display
-      const result = networkStats.map((net) => ({
-        interface: net.iface,
+      const result = networkStats
+        .map((net) => ({ net, detail: details.find((entry) => entry.iface === net.iface) ?? {} }))
+        .filter(({ net, detail }) => this.interfaceFilter({ ...detail, iface: net.iface }))
+        .map(({ net, detail }) => {
+          const rxRate = Math.round((net.rx_sec / 1024) * 100) / 100 // KB/s
+          const txRate = Math.round((net.tx_sec / 1024) * 100) / 100 // KB/s
+          //  si reports -1 or null when the driver doesn't know the link speed
+          const speed = detail.speed > 0 ? detail.speed : null // Mbit/s
+          const busiest = Math.max(rxRate, txRate) * 1024 * 8 // bit/s in the busier direction
+
+          return {
+            interface: net.iface,
+            operstate: net.operstate,
+            isDefault: Boolean(detail.default),
+
+            // Convert bytes to MB for readability
+            rxMB: Math.round((net.rx_bytes / 1024 / 1024) * 100) / 100,
+            txMB: Math.round((net.tx_bytes / 1024 / 1024) * 100) / 100,
+
+            // Current transfer rates (per second)
+            rxRate,
+            txRate,
+
+            //  Share of the link in use, null when the speed is unknown
+            speed,
+            utilization: speed ? Math.round((busiest / (speed * 1e6)) * 100 * 10) / 10 : null,
+
+            //  Counters since boot
+            rxErrors: net.rx_errors,
+            txErrors: net.tx_errors,
+            rxDropped: net.rx_dropped,
+            txDropped: net.tx_dropped,
+
+            //  Unrounded totals and rates, for exporters. Rates are null until the second sample
+            bytes: { rx: net.rx_bytes, tx: net.tx_bytes, rxPerSecond: net.rx_sec ?? 0, txPerSecond: net.tx_sec ?? 0 },
+          }
+        })
+
+      this.setCache(cacheKey, result)
+
+      logger.debug(`Network data collected: ${result.length} interfaces`)
+      return result
+    } catch (error) {
+      logger.error("Failed to get network info", { error: error.message })
+      this.failures.set(cacheKey, error.message)
+      return []
+    }
+  }
+
+  async getCPUSpec() {
+    if (!this.cpuSpec) {
+      this.cpuSpec = await this.dataSource.cpu()
+    }
+
+    return this.cpuSpec
+  }
+
+  //  Frequency and temperature for getCPUInfo(), cached separately from the load
+  async getCPUDetails() {
+    const cacheKey = "cpuDetails"
+
+    if (this.isInCache(cacheKey)) {
+      return this.cache.get(cacheKey).data
+    }
+
+    const [currentSpeed, temperature] = await Promise.all([
+      this.dataSource.cpuCurrentSpeed().catch(() => null),
+      this.dataSource.cpuTemperature().catch(() => null),
+    ])
+
+    const result = { currentSpeed, temperature }
+    this.setCache(cacheKey, result, this.cpuDetailsTTL)
+    return result
+  }
+
+  //  Link speed, loopback and virtual flags from si.networkInterfaces(), cached separately from the stats
+  async getInterfaceDetails() {
+    const cacheKey = "interfaces"
+
+    if (this.isInCache(cacheKey)) {
+      return this.cache.get(cacheKey).data
+    }
+
+    try {
+      const interfaces = await this.dataSource.networkInterfaces()
+      const result = (Array.isArray(interfaces) ? interfaces : [interfaces]).map((entry) => ({
+        iface: entry.iface,
+        speed: entry.speed,
+        internal: entry.internal,
+        virtual: entry.virtual,
+        default: entry.default,
+      }))
+
+      this.setCache(cacheKey, result, this.interfaceDetailsTTL)
+      return result
+    } catch (error) {
+      logger.warn("Failed to get network interface details", { error: error.message })
+      return []
+    }
+  }
+
+  setInterfaceFilter(filter) {
+    this.interfaceFilter = createInterfaceFilter(filter)
+    this.invalidate("network")
+  }
+
+  //  Sockets with their owning process, process names need root for other users' sockets
+  async getConnectionInfo() {
+    logger.debug("Collecting network connections...")
+
+    const cacheKey = "connections"
 
-        // Convert bytes to MB for readability
-        rxMB: Math.round((net.rx_bytes / 1024 / 1024) * 100) / 100,
-        txMB: Math.round((net.tx_bytes / 1024 / 1024) * 100) / 100,
+    if (this.isInCache(cacheKey)) {
+      logger.debug("Using cached connection data")
+      return this.cache.get(cacheKey).data
+    }
 
-        // Current transfer rates (per second)
-        rxRate: Math.round((net.rx_sec / 1024) * 100) / 100, // KB/s
-        txRate: Math.round((net.tx_sec / 1024) * 100) / 100, // KB/s
+    try {
+      const connections = await this.dataSource.networkConnections()
+
+      const result = connections.map((conn) => ({
+        protocol: conn.protocol,
+        localAddress: conn.localAddress,
+        localPort: conn.localPort,
+        peerAddress: conn.peerAddress,
+        peerPort: conn.peerPort,
+        state: conn.state || "-", // UDP sockets have no state
+        pid: conn.pid ?? null,
+        process: conn.process || "",
       }))
 
       this.setCache(cacheKey, result)
 
-      logger.debug(`Network data collected: ${result.length} interfaces`)
+      logger.debug(`Connection data collected: ${result.length} sockets`)
       return result
     } catch (error) {
-      logger.error("Failed to get network info", { error: error.message })
+      logger.error("Failed to get network connections", { error: error.message })
+      this.failures.set(cacheKey, error.message)
       return []
     }
   }
 
+  async getProcessInfo() {
+    logger.debug("Collecting process information...")
+
+    const cacheKey = "processes"
+
+    if (this.isInCache(cacheKey)) {
+      logger.debug("Using cached process data")
+      return this.cache.get(cacheKey).data
+    }
+
+    try {
+      const processes = await this.dataSource.processes()
+
+      const result = {
+        total: processes.all,
+        running: processes.running,
+        sleeping: processes.sleeping,
+        blocked: processes.blocked,
+
+        //  Keep only the columns the process table shows
+        list: processes.list.map((proc) => ({
+          pid: proc.pid,
+          name: proc.name,
+          user: proc.user,
+          cpu: Math.round(proc.cpu * 10) / 10,
+          mem: Math.round(proc.mem * 10) / 10,
+          rssKB: proc.memRss ?? 0, // Resident memory, for the memory widget's top consumers
+          command: proc.params ? `${proc.command} ${proc.params}` : proc.command,
+        })),
+      }
+
+      this.setCache(cacheKey, result)
+
+      logger.debug(`Process data collected: ${result.total} processes`)
+      return result
+    } catch (error) {
+      logger.error("Failed to get process info", { error: error.message })
+      this.failures.set(cacheKey, error.message)
+      return { total: 0, running: 0, sleeping: 0, blocked: 0, list: [] }
+    }
+  }
+
+  async getDockerInfo() {
+    logger.debug("Collecting Docker information...")
+
+    const cacheKey = "docker"
+
+    if (this.isInCache(cacheKey)) {
+      logger.debug("Using cached Docker data")
+      return this.cache.get(cacheKey).data
+    }
+
+    try {
+      //  dockerInfo() resolves with empty fields when the socket is missing
+      const dockerInfo = await this.dataSource.dockerInfo()
+      if (!dockerInfo || !dockerInfo.id) {
+        const result = { available: false, reason: "Docker daemon not reachable", containers: [] }
+        this.setCache(cacheKey, result)
+        return result
+      }
+
+      const containers = await this.dataSource.dockerContainers(true)
+      const running = containers.filter((container) => container.state === "running")
+      const stats =
+        running.length > 0 ? await this.dataSource.dockerContainerStats(running.map((c) => c.id).join(",")) : []
+      const statsById = new Map(stats.map((stat) => [stat.id, stat]))
+
+      const bytesToMB = (bytes) => Math.round(((bytes || 0) / 1024 / 1024) * 100) / 100
+
+      const result = {
+        available: true,
+        containers: containers.map((container) => {
+          const stat = statsById.get(container.id) || {}
+          return {
+            id: container.id.substring(0, 12),
+            name: container.name,
+            image: container.image,
+            state: container.state,
+            cpuPercent: Math.round((stat.cpuPercent || 0) * 100) / 100,
+            memUsageMB: bytesToMB(stat.memUsage),
+            memPercent: Math.round((stat.memPercent || 0) * 100) / 100,
+            netRxMB: bytesToMB(stat.netIO?.rx),
+            netTxMB: bytesToMB(stat.netIO?.wx),
+          }
+        }),
+      }
+
+      this.setCache(cacheKey, result)
+
+      logger.debug(`Docker data collected: ${result.containers.length} containers`)
+      return result
+    } catch (error) {
+      logger.error("Failed to get Docker info", { error: error.message })
+      return { available: false, reason: error.message, containers: [] }
+    }
+  }
+
+  async collectPlugin(plugin) {
+    //  Each plugin gets its own cache entry, kept for the plugin's interval
+    const cacheKey = `plugin:${plugin.name}`
+
+    if (this.isInCache(cacheKey)) {
+      return this.cache.get(cacheKey).data
+    }
+
+    let timer
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${plugin.timeout}ms`)), plugin.timeout)
+    })
+
+    try {
+      const data = await Promise.race([plugin.collect(), timeout])
+      this.setCache(cacheKey, data, this.cacheTTLs.get(cacheKey) ?? plugin.interval)
+      return data
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  //  Getters return defaults instead of throwing, this tells a failed collection from an empty one
+  getFailure(key) {
+    return this.failures.get(key) ?? null
+  }
 
   isInCache(key) {
     const cached = this.cache.get(key)
-    if (!cached) return false
 
     //  Check if cache is still valid
-    const now = Date.now()
-    const isValid = now - cached.timestamp < this.cacheTimeout
+    const isValid = Boolean(cached) && Date.now() - cached.timestamp < cached.ttl
 
-    if (!isValid) {
+    if (cached && !isValid) {
       // Cache expired, remove it
       this.cache.delete(key)
-      return false
     }
 
-    return true
+    //  Forced refreshes bypass the TTL, so they would only drag the hit rate down
+    this.countLookup(key, this.pendingRefreshes.delete(key) ? "refreshes" : isValid ? "hits" : "misses")
+    return isValid
+  }
+
+  countLookup(key, outcome) {
+    if (!this.cacheCounters.has(key)) {
+      this.cacheCounters.set(key, { hits: 0, misses: 0, refreshes: 0 })
+    }
+
+    this.cacheCounters.get(key)[outcome]++
   }
 
-  setCache(key, data) {
-    //  Store data with timestamp
+  setCacheTTL(key, ttl) {
+    this.cacheTTLs.set(key, ttl)
+  }
+
+  invalidate(key) {
+    this.cache.delete(key)
+  }
+
+  //  Makes the next read of key collect fresh data, counted apart from reads that go through the TTL
+  refresh(key) {
+    this.invalidate(key)
+    this.pendingRefreshes.add(key)
+  }
+
+  setCache(key, data, ttl = this.cacheTTLs.get(key) ?? this.cacheTimeout) {
+    this.failures.delete(key)
+
+    //  Store data with timestamp and how long it stays valid
     this.cache.set(key, {
       data,
       timestamp: Date.now(),
+      ttl,
     })
   }
 
@@ -211,19 +698,39 @@ export class SystemInfo {
 
     //  Iterate through Map entries
     for (const [key, value] of this.cache.entries()) {
-      if (now - value.timestamp >= this.cacheTimeout) {
+      if (now - value.timestamp >= value.ttl) {
         this.cache.delete(key)
         logger.debug(`Cleared expired cache for: ${key}`)
       }
     }
   }
 
-  
   getCacheStats() {
+    //  Null until something reads the key through the TTL
+    const hitRate = (hits, misses) => (hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100 * 10) / 10 : null)
+
+    let hits = 0
+    let misses = 0
+    let refreshes = 0
+    const perKey = {}
+
+    for (const [key, counters] of this.cacheCounters) {
+      hits += counters.hits
+      misses += counters.misses
+      refreshes += counters.refreshes
+      perKey[key] = { ...counters, hitRate: hitRate(counters.hits, counters.misses) }
+    }
+
     return {
       size: this.cache.size,
       keys: Array.from(this.cache.keys()),
       timeout: this.cacheTimeout,
+      ttls: Object.fromEntries(this.cacheTTLs),
+      hits,
+      misses,
+      refreshes, // Scheduled collections, which always fetch
+      hitRate: hitRate(hits, misses) ?? 0,
+      perKey,
     }
   }
 }
\ No newline at end of file
@@ -0,0 +1,107 @@
+//  Progress bars and percent cells take the color of the highest threshold exceeded,
+//  or "success" below all of them. Colors are palette roles or literal color names.
+const defaultThresholds = [
+  { above: 80, color: "error" },
+  { above: 60, color: "warning" },
+]
+
+//  Named color palettes, selected with the "theme" config key. Colors are names, 256-color
+//  indexes or "#rrggbb"; blessed only approximates hex, so the built-ins use indexes.
+export const themes = {
+  default: {
+    primary: "cyan", // Main accent color
+    success: "green", // Good status
+    warning: "yellow", // Warnings
+    error: "red", // Errors
+    info: "blue", // Information
+    text: "white", // Default text
+    background: "default", // Background, "default" keeps the terminal's own
+    accentText: "white", // Text on primary-colored backgrounds like the header
+    thresholds: defaultThresholds,
+  },
+  dark: {
+    primary: 68,
+    success: 107,
+    warning: 179,
+    error: 167,
+    info: 73,
+    text: 252,
+    background: 234,
+    accentText: 234,
+    thresholds: defaultThresholds,
+  },
+  light: {
+    primary: "blue",
+    success: 28,
+    warning: 130, // Yellow is unreadable on white
+    error: 160,
+    info: 24,
+    text: "black",
+    background: "white",
+    accentText: "white",
+    thresholds: defaultThresholds,
+  },
+  "high-contrast": {
+    primary: "brightwhite",
+    success: "brightgreen",
+    warning: "brightyellow",
+    error: "brightred",
+    info: "brightcyan",
+    text: "brightwhite",
+    background: "black",
+    accentText: "black",
+    thresholds: defaultThresholds,
+  },
+  solarized: {
+    primary: 33, // blue
+    success: 64, // green
+    warning: 136, // yellow
+    error: 160, // red
+    info: 37, // cyan
+    text: 244, // base0
+    background: 234, // base03
+    accentText: 230, // base3
+    thresholds: defaultThresholds,
+  },
+  //  For terminals without color: everything in the terminal's own colors
+  monochrome: {
+    primary: "default",
+    success: "default",
+    warning: "default",
+    error: "default",
+    info: "default",
+    text: "default",
+    background: "default",
+    accentText: "default",
+    inverseSelection: true, // Selected rows can't be told apart by color
+    thresholds: [],
+  },
+}
+
+//  Built-in names first, then user themes from the config in the order they are defined
+export function getThemeNames(userThemes = {}) {
+  return [...new Set([...Object.keys(themes), ...Object.keys(userThemes)])]
+}
+
+//  https://no-color.org: any non-empty NO_COLOR disables color
+export function isNoColor(env = process.env) {
+  return Boolean(env.NO_COLOR)
+}
+
+export function resolveTheme(name, userThemes = {}) {
+  const userTheme = userThemes[name]
+  if (!userTheme) {
+    return themes[name] ?? themes.default
+  }
+
+  //  User themes start from the built-in they extend, or the one they are named after
+  const { extends: baseName, ...overrides } = userTheme
+  const theme = { ...(themes[baseName ?? name] ?? themes.default), ...overrides }
+
+  //  Highest cutoff first so the first match wins
+  theme.thresholds = theme.thresholds
+    .filter(({ above, color }) => typeof above === "number" && color !== undefined)
+    .sort((a, b) => b.above - a.above)
+
+  return theme
+}
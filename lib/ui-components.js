@@ -1,20 +1,47 @@
 import blessed from "blessed"
 import { logger } from "./logger.js"
+import { themes } from "./themes.js"
+
+//  Process table columns, in display order
+export const PROCESS_COLUMNS = [
+  { key: "pid", title: "PID", numeric: true },
+  { key: "user", title: "USER", numeric: false },
+  { key: "cpu", title: "CPU%", numeric: true },
+  { key: "mem", title: "MEM%", numeric: true },
+  { key: "command", title: "COMMAND", numeric: false },
+]
+
+//  Block characters from lowest to highest, used by sparklines and charts
+const SPARK_BLOCKS = ["▁", "▂", "▃", "▄", "▅", "▆", "▇", "█"]
+
+//  Palette role of each widget's border, so a theme switch can restyle widgets in place
+const BORDER_ROLES = {
+  header: "primary",
+  cpu: "primary",
+  memory: "success",
+  disk: "warning",
+  network: "info",
+  alerts: "error",
+  processes: "primary",
+  docker: "info",
+  history: "primary",
+  hostOverview: "primary",
+  diagnostics: "info",
+  statusBar: "text",
+}
 
 export class UIComponents {
   constructor(screen) {
     this.screen = screen
 
-    //  Define a consistent color theme
-    this.theme = {
-      primary: "cyan", // Main accent color
-      success: "green", // Good status
-      warning: "yellow", // Warnings
-      error: "red", // Errors
-      info: "blue", // Information
-      text: "white", // Default text
-      background: "black", // Background
-    }
+    //  Start from the default palette; setTheme() swaps it at runtime
+    this.theme = { ...themes.default }
+
+    //  Width of the one-line history sparklines inside widgets
+    this.sparklineWidth = 20
+
+    //  Collector plugins by name, for widgets that aren't built in
+    this.plugins = new Map()
 
     logger.info("UIComponents initialized with theme")
   }
@@ -42,7 +69,7 @@ export class UIComponents {
 
       //  Color and style properties
       style: {
-        fg: this.theme.text, // Foreground (text) color
+        fg: this.theme.accentText, // Foreground (text) color
         bg: this.theme.primary, // Background color
         border: {
           fg: this.theme.primary, // Border color
@@ -51,7 +78,7 @@ export class UIComponents {
     })
   }
 
-  createCPUWidget() {
+  createCPUWidget(position = {}) {
     logger.debug("Creating CPU widget...")
 
     return blessed.box({
@@ -64,8 +91,13 @@ export class UIComponents {
       width: "25%", // Quarter of screen width
       height: 10, // 10 lines tall
 
+      //  Configured position overrides the defaults above
+      ...position,
+
       content: "Loading...", // Initial content
       tags: true,
+      scrollable: true,
+      alwaysScroll: true,
 
       border: {
         type: "line",
@@ -80,7 +112,7 @@ export class UIComponents {
     })
   }
 
-  createMemoryWidget() {
+  createMemoryWidget(position = {}) {
     logger.debug("Creating memory widget...")
 
     return blessed.box({
@@ -91,9 +123,12 @@ export class UIComponents {
       left: "25%", // Start after CPU widget
       width: "25%", // Same width as CPU
       height: 10,
+      ...position,
 
       content: "Loading...",
       tags: true,
+      scrollable: true,
+      alwaysScroll: true,
 
       border: {
         type: "line",
@@ -108,7 +143,7 @@ export class UIComponents {
     })
   }
 
-  createDiskWidget() {
+  createDiskWidget(position = {}) {
     logger.debug("Creating disk widget...")
 
     return blessed.box({
@@ -118,9 +153,12 @@ export class UIComponents {
       left: "50%", // Third quarter
       width: "25%",
       height: 10,
+      ...position,
 
       content: "Loading...",
       tags: true,
+      scrollable: true,
+      alwaysScroll: true,
 
       border: {
         type: "line",
@@ -135,7 +173,7 @@ export class UIComponents {
     })
   }
 
-  createNetworkWidget() {
+  createNetworkWidget(position = {}) {
     logger.debug("Creating network widget...")
 
     return blessed.box({
@@ -145,9 +183,12 @@ export class UIComponents {
       left: "75%", // Last quarter
       width: "25%",
       height: 10,
+      ...position,
 
       content: "Loading...",
       tags: true,
+      scrollable: true,
+      alwaysScroll: true,
 
       border: {
         type: "line",
@@ -162,6 +203,311 @@ export class UIComponents {
     })
   }
 
+  createAlertsWidget(position = {}) {
+    logger.debug("Creating alerts widget...")
+
+    return blessed.box({
+      label: " Active Alerts ",
+
+      top: 25,
+      left: 0,
+      width: "100%",
+      height: 6,
+      ...position,
+
+      content: "No active alerts",
+      tags: true,
+      scrollable: true,
+      alwaysScroll: true,
+
+      border: {
+        type: "line",
+      },
+
+      style: {
+        fg: this.theme.text,
+        border: {
+          fg: this.theme.error, // Alerts get error color
+        },
+      },
+    })
+  }
+
+  createProcessWidget(position = {}) {
+    logger.debug("Creating process widget...")
+
+    //  listtable gives us a scrollable, selectable table with a fixed header.
+    //  No label here: blessed crashes re-rendering a labelled listtable while it is
+    //  being attached, so the label is set on the first update instead.
+    return blessed.listtable({
+      top: 15,
+      left: "50%",
+      width: "50%",
+      height: 10,
+      ...position,
+
+      data: [PROCESS_COLUMNS.map((column) => column.title)],
+      align: "left",
+      noCellBorders: true,
+      tags: true,
+      keys: true, // Arrow keys / PageUp / PageDown move the selection
+      mouse: true,
+
+      border: {
+        type: "line",
+      },
+
+      style: {
+        fg: this.theme.text,
+        border: {
+          fg: this.theme.primary,
+        },
+        header: {
+          fg: this.theme.primary,
+          bold: true,
+        },
+        cell: {
+          fg: this.theme.text,
+          selected: {
+            fg: this.theme.background,
+            bg: this.theme.primary,
+            inverse: Boolean(this.theme.inverseSelection),
+          },
+        },
+      },
+    })
+  }
+
+  createDockerWidget(position = {}) {
+    logger.debug("Creating Docker widget...")
+
+    return blessed.box({
+      label: " Docker Containers ",
+
+      top: 31,
+      left: 0,
+      width: "100%",
+      height: 8,
+      ...position,
+
+      content: "Loading...",
+      tags: true,
+      scrollable: true,
+      alwaysScroll: true,
+
+      border: {
+        type: "line",
+      },
+
+      style: {
+        fg: this.theme.text,
+        border: {
+          fg: this.theme.info, // Docker shares the info color with network
+        },
+      },
+    })
+  }
+
+  createHistoryWidget(position = {}) {
+    logger.debug("Creating history widget...")
+
+    return blessed.box({
+      label: " History ",
+
+      top: 39,
+      left: 0,
+      width: "100%",
+      height: 18,
+      ...position,
+
+      content: "Collecting samples...",
+      tags: true,
+      scrollable: true,
+      alwaysScroll: true,
+
+      border: {
+        type: "line",
+      },
+
+      style: {
+        fg: this.theme.text,
+        border: {
+          fg: this.theme.primary,
+        },
+      },
+    })
+  }
+
+  createHostOverviewWidget(hostCount) {
+    logger.debug("Creating host overview widget...")
+
+    //  Floats over the regular widgets in client mode, one row per agent
+    return blessed.box({
+      label: " Hosts ",
+
+      top: 3,
+      left: "center",
+      width: "90%",
+      height: Math.min(hostCount + 4, 20),
+
+      content: "Loading...",
+      tags: true,
+      scrollable: true,
+
+      border: {
+        type: "line",
+      },
+
+      style: {
+        fg: this.theme.text,
+        bg: this.theme.background,
+        border: {
+          fg: this.theme.primary,
+        },
+      },
+    })
+  }
+
+  createDiagnosticsWidget(collectorCount) {
+    logger.debug("Creating diagnostics widget...")
+
+    //  Floats over the regular widgets like the host overview, one row per collector
+    return blessed.box({
+      label: " Self-diagnostics ",
+
+      top: 3,
+      left: "center",
+      width: "90%",
+      height: Math.min(collectorCount + 9, 24),
+
+      content: "Loading...",
+      tags: true,
+      scrollable: true,
+
+      border: {
+        type: "line",
+      },
+
+      style: {
+        fg: this.theme.text,
+        bg: this.theme.background,
+        border: {
+          fg: this.theme.info,
+        },
+      },
+    })
+  }
+
+  createConnectionsWidget() {
+    logger.debug("Creating connections widget...")
+
+    //  Floats over the regular widgets and takes focus, so the arrow keys scroll it
+    const widget = blessed.box({
+      label: " Connections (/ filter, n or Escape to close) ",
+
+      top: 3,
+      left: "center",
+      width: "90%",
+      height: "100%-6",
+
+      content: "Loading...",
+      tags: true,
+      scrollable: true,
+      alwaysScroll: true,
+
+      border: {
+        type: "line",
+      },
+
+      style: {
+        fg: this.theme.text,
+        bg: this.theme.background,
+        border: {
+          fg: this.theme.info,
+        },
+      },
+    })
+
+    this.bindScrollKeys(widget)
+    return widget
+  }
+
+  createPluginWidget(plugin, position = {}) {
+    logger.debug(`Creating plugin widget for ${plugin.name}...`)
+
+    return blessed.box({
+      label: plugin.widget.label,
+
+      left: 0,
+      width: "100%",
+      height: 6,
+      ...position,
+
+      content: "Loading...",
+      tags: true,
+      scrollable: true,
+      alwaysScroll: true,
+
+      border: {
+        type: "line",
+      },
+
+      style: {
+        fg: this.theme.text,
+        border: {
+          fg: this.theme.primary,
+        },
+      },
+    })
+  }
+
+  registerPlugin(plugin) {
+    this.plugins.set(plugin.name, plugin)
+  }
+
+  createWidget(name, position = {}) {
+    //  Map config widget names to their factories
+    const factories = {
+      cpu: () => this.createCPUWidget(position),
+      memory: () => this.createMemoryWidget(position),
+      disk: () => this.createDiskWidget(position),
+      network: () => this.createNetworkWidget(position),
+      alerts: () => this.createAlertsWidget(position),
+      processes: () => this.createProcessWidget(position),
+      docker: () => this.createDockerWidget(position),
+      history: () => this.createHistoryWidget(position),
+    }
+
+    //  Plugins registered at startup provide their own widgets
+    if (!factories[name] && this.plugins.has(name)) {
+      factories[name] = () => this.createPluginWidget(this.plugins.get(name), position)
+    }
+
+    if (!factories[name]) {
+      logger.warn(`No widget implementation for "${name}", skipping`)
+      return null
+    }
+
+    const widget = factories[name]()
+    if (widget.scrollable && widget.type === "box") {
+      this.bindScrollKeys(widget)
+    }
+
+    return widget
+  }
+
+  //  Arrow keys scroll a line and PageUp/PageDown a page while the widget has focus.
+  //  The process table is a list and brings its own keys.
+  bindScrollKeys(widget) {
+    widget.key(["up", "down", "pageup", "pagedown"], (ch, key) => {
+      const page = Math.max(1, widget.height - widget.iheight - 1)
+      const amount = { up: -1, down: 1, pageup: -page, pagedown: page }[key.name]
+
+      widget.scroll(amount)
+      this.screen.render()
+    })
+  }
+
   createStatusBar() {
     logger.debug("Creating status bar...")
 
@@ -204,116 +550,891 @@ export class UIComponents {
     const bar = filledChar.repeat(filled) + emptyChar.repeat(empty)
 
     //  Color based on percentage (traffic light system)
-    let color = this.theme.success // Green for good
-    if (percentage > 80) {
-      color = this.theme.error // Red for critical
-    } else if (percentage > 60) {
-      color = this.theme.warning // Yellow for warning
-    }
+    const color = this.getThresholdColor(percentage)
 
     //  Return formatted string with color markup
     return `{${color}-fg}${bar}{/${color}-fg} ${percentage.toFixed(1)}%`
   }
 
-  formatCPUContent(cpuInfo) {
+  //  A progress bar without the percentage, for tables that align their own numbers
+  createBar(percentage, width) {
+    const filled = Math.round((Math.min(100, Math.max(0, percentage)) / 100) * width)
+    const color = this.getThresholdColor(percentage)
+
+    return `{${color}-fg}${"█".repeat(filled)}${"░".repeat(width - filled)}{/${color}-fg}`
+  }
+
+  //  segments: [{ value, color, char }] sharing one bar of the total, what they don't cover stays empty
+  createStackedBar(segments, total, width = 20) {
+    if (!(total > 0)) return "░".repeat(width)
+
+    let bar = ""
+    let start = 0
+    let sum = 0
+
+    for (const { value, color, char } of segments) {
+      //  Cells follow the running total, so rounding can never add up past the width
+      sum += value
+      const end = Math.min(width, Math.round((sum / total) * width))
+      if (end > start) {
+        bar += `{${color}-fg}${char.repeat(end - start)}{/${color}-fg}`
+        start = end
+      }
+    }
+
+    return bar + "░".repeat(width - start)
+  }
+
+  //  One block per value (0-100), height and color by level, in groups of eight wrapped to the width
+  createHeatmap(values, width) {
+    const groupsPerRow = Math.max(1, Math.floor((width + 1) / 9))
+    const perRow = groupsPerRow * 8
+
+    const block = (value) => {
+      const color = this.getThresholdColor(value)
+      const level = Math.round((Math.min(100, Math.max(0, value)) / 100) * (SPARK_BLOCKS.length - 1))
+      return `{${color}-fg}${SPARK_BLOCKS[level]}{/${color}-fg}`
+    }
+
+    const rows = []
+    for (let start = 0; start < values.length; start += perRow) {
+      const row = values.slice(start, start + perRow)
+      const groups = []
+      for (let index = 0; index < row.length; index += 8) {
+        const group = row.slice(index, index + 8)
+        groups.push(group.map(block).join(""))
+      }
+      rows.push(groups.join(" "))
+    }
+
+    return rows.join("\n")
+  }
+
+  getThresholdColor(percentage) {
+    //  Thresholds are sorted highest first, below all of them is good
+    const threshold = this.theme.thresholds.find(({ above }) => percentage > above)
+    const color = threshold ? threshold.color : "success"
+
+    return this.theme[color] ?? color
+  }
+
+  downsample(values, width) {
+    if (values.length <= width) {
+      return values
+    }
+
+    //  Bucket by max so short spikes stay visible after shrinking
+    const bucketSize = values.length / width
+    const result = []
+    for (let i = 0; i < width; i++) {
+      const bucket = values.slice(Math.floor(i * bucketSize), Math.floor((i + 1) * bucketSize))
+      result.push(bucket.reduce((max, value) => Math.max(max, value), -Infinity)) // Buckets can be too long to spread
+    }
+    return result
+  }
+
+  createSparkline(values, width = this.sparklineWidth, max = null, color = this.theme.primary) {
+    if (!values || values.length === 0) {
+      return ""
+    }
+
+    const points = this.downsample(values, width)
+    const scaleMax = max ?? Math.max(...points, 1)
+
+    //  Eight block heights, lowest is always drawn so gaps read as "idle" not "missing"
+    const line = points
+      .map((value) => SPARK_BLOCKS[Math.round((Math.min(value, scaleMax) / scaleMax) * (SPARK_BLOCKS.length - 1))])
+      .join("")
+
+    return `{${color}-fg}${line}{/${color}-fg}`
+  }
+
+  createChart(values, width, height, max = null, color = this.theme.primary) {
+    const points = this.downsample(values || [], width)
+    const scaleMax = max ?? Math.max(...points, 1)
+    const rows = []
+
+    //  Each row covers eight sub-levels of the value range, top row first
+    for (let row = height - 1; row >= 0; row--) {
+      const line = points
+        .map((value) => {
+          const units = Math.round((Math.min(value, scaleMax) / scaleMax) * height * 8) - row * 8
+          return units <= 0 ? " " : SPARK_BLOCKS[Math.min(units, 8) - 1]
+        })
+        .join("")
+
+      rows.push(`{${color}-fg}${line}{/${color}-fg}`)
+    }
+
+    return rows.join("\n")
+  }
+
+  //  view: { expanded, width } - zoomed widgets get the detailed view, width is the inner width
+  formatCPUContent(cpuInfo, history = [], view = {}) {
     if (!cpuInfo) {
       return "No CPU data available"
     }
 
+    const { expanded = false, width = 40 } = view
+    if (expanded) {
+      return this.formatCPUDetails(cpuInfo, history, width)
+    }
+
     logger.debug("Formatting CPU content...")
 
-    //  Build content string with markup
-    let content = `{bold}Usage: ${cpuInfo.usage}%{/bold}\n\n`
+    const fit = (text, room = width) => (text.length > room ? `${text.substring(0, room - 1)}…` : text)
+    const { breakdown, loadAverage = [] } = cpuInfo
 
-    // Add visual progress bar
-    content += this.createProgressBar(cpuInfo.usage, 100) + "\n\n"
+    //  Build content string with markup, samples from older recordings lack the extras
+    const usage = `Usage: ${cpuInfo.usage}%`
+    let content = `{bold}${usage}{/bold}`
+    if (breakdown) {
+      const iowait = breakdown.iowait === null ? "" : ` io ${breakdown.iowait.toFixed(1)}`
+      const states = `  usr ${breakdown.user.toFixed(1)} sys ${breakdown.system.toFixed(1)}${iowait}`
+      content += fit(states, width - usage.length)
+    }
+    content += "\n"
 
-    // Add system information
-    content += `Cores: ${cpuInfo.cores}\n`
-    content += `Model: ${cpuInfo.model.substring(0, 20)}...\n` // Truncate long names
-    content += `Speed: ${cpuInfo.speed} MHz\n\n`
+    // Add visual progress bar and recent history
+    content += this.createProgressBar(cpuInfo.usage, 100) + "\n"
+    content += this.createSparkline(history, this.sparklineWidth, 100) + "\n"
+
+    if (loadAverage.length > 0) {
+      content += `Load: ${loadAverage.map((load) => load.toFixed(2)).join(" ")}\n`
+    }
 
-    //  Show top core usage (slice gets first 3 items)
+    // Add system information
+    //  Virtual machines often report no clock speed at all
+    const speed = cpuInfo.frequency?.avg || cpuInfo.speed
+    const clock = speed ? ` @ ${speed} GHz` : ""
+    const temperature = cpuInfo.temperature ? `  ${Math.round(cpuInfo.temperature.main)}°C` : ""
+    content += `Cores: ${cpuInfo.cores}${clock}${temperature}\n`
+    content += fit(`Model: ${cpuInfo.model}`) + "\n\n"
+
+    //  Every core as one block, so even 64+ cores fit in a few lines
     if (cpuInfo.coreUsage && cpuInfo.coreUsage.length > 0) {
-      content += "{bold}Top Cores:{/bold}\n"
-      cpuInfo.coreUsage.slice(0, 3).forEach((core) => {
-        content += `CPU${core.core}: ${core.load}%\n`
-      })
+      content += "{bold}Per core:{/bold}\n"
+      const loads = cpuInfo.coreUsage.map((core) => core.load)
+      content += this.createHeatmap(loads, width)
     }
 
     return content
   }
 
-  formatMemoryContent(memInfo) {
+  formatCPUDetails(cpuInfo, history, width) {
+    logger.debug("Formatting CPU details...")
+
+    const { breakdown, loadAverage = [], frequency, temperature, coreUsage = [] } = cpuInfo
+
+    let content = `{bold}Usage: ${cpuInfo.usage}%{/bold}  ${cpuInfo.model}\n`
+    content += this.createProgressBar(cpuInfo.usage, 100) + "\n"
+    content += this.createSparkline(history, this.sparklineWidth, 100) + "\n\n"
+
+    //  Where the busy time went, iowait only where the platform reports it
+    if (breakdown) {
+      const { idle, ...busy } = breakdown
+      content += `{bold}Breakdown{/bold} (idle ${idle.toFixed(1)}%)\n`
+      for (const [state, value] of Object.entries(busy)) {
+        if (value === null) continue
+        content += `${state.padEnd(8)} ${this.createBar(value, 10)} ${value.toFixed(1).padStart(5)}%\n`
+      }
+      content += "\n"
+    }
+
+    if (loadAverage.length > 0) {
+      const [one, five, fifteen] = loadAverage.map((load) => load.toFixed(2))
+      const perCore = cpuInfo.cores > 0 ? ` (${(loadAverage[0] / cpuInfo.cores).toFixed(2)} per core)` : ""
+      content += `{bold}Load average{/bold}  1m ${one}  5m ${five}  15m ${fifteen}${perCore}\n`
+    }
+
+    content += frequency
+      ? `{bold}Frequency{/bold}     ${frequency.avg} GHz avg, ${frequency.min}-${frequency.max} GHz\n`
+      : `{bold}Frequency{/bold}     ${cpuInfo.speed ? `${cpuInfo.speed} GHz base, current ` : ""}not reported\n`
+
+    content += temperature
+      ? `{bold}Temperature{/bold}   ${Math.round(temperature.main)}°C` +
+        (typeof temperature.max === "number" ? `, hottest sensor ${Math.round(temperature.max)}°C\n` : "\n")
+      : "{bold}Temperature{/bold}   not available\n"
+
+    if (coreUsage.length === 0) {
+      return content
+    }
+
+    //  One cell per core, laid out in as many columns as fit, numbered down each column
+    const showSpeed = coreUsage.some((core) => core.speed)
+    const showTemperature = coreUsage.some((core) => core.temperature !== null && core.temperature !== undefined)
+    const cellWidth = 24 + (showSpeed ? 9 : 0) + (showTemperature ? 6 : 0)
+    const columns = Math.max(1, Math.floor((width + 3) / (cellWidth + 3)))
+    const rows = Math.ceil(coreUsage.length / columns)
+
+    const cell = (core) => {
+      let text = `${`CPU${core.core}`.padEnd(6)} ${this.createBar(core.load, 10)} ${core.load.toFixed(1).padStart(5)}%`
+      if (showSpeed) {
+        text += (core.speed ? ` ${core.speed.toFixed(2)} GHz` : "").padStart(9)
+      }
+      if (showTemperature) {
+        text += (typeof core.temperature === "number" ? ` ${Math.round(core.temperature)}°C` : "").padStart(6)
+      }
+      return text
+    }
+
+    content += `\n{bold}Cores (${coreUsage.length}){/bold}\n`
+    for (let row = 0; row < rows; row++) {
+      const cells = []
+      for (let column = 0; column < columns; column++) {
+        const core = coreUsage[column * rows + row]
+        if (core) cells.push(cell(core))
+      }
+      content += cells.join("   ") + "\n"
+    }
+
+    return content
+  }
+
+  //  view: { width, units, processes } - units is "GiB" or "GB", processes is the latest process list
+  formatMemoryContent(memInfo, history = [], view = {}) {
+    const { width = 40, units = "GiB", processes = null } = view
+
     if (!memInfo) {
       return "No memory data available"
     }
 
     logger.debug("Formatting memory content...")
 
-    let content = `{bold}Usage: ${memInfo.usagePercent}%{/bold}\n\n`
+    const size = (gib) => this.formatMemorySize(gib * 1024 ** 3, units)
+    const fit = (text, room) => (text.length > room ? `${text.substring(0, room - 1)}…` : text.padEnd(room))
+    const barWidth = Math.max(10, Math.min(30, width - 12))
+    const usedColor = this.getThresholdColor(memInfo.usagePercent)
+    const { info } = this.theme
+
+    //  Older recordings and remote agents only have total, used and free
+    const buffcache = memInfo.buffcache ?? 0
+    const available = memInfo.available ?? memInfo.free
+
+    //  Used excludes buffers/cache, which the kernel gives back when applications need it
+    let content = `{bold}Used: ${memInfo.usagePercent}%{/bold}  ${size(memInfo.used)} of ${size(memInfo.total)}\n`
+    content += this.createStackedBar(
+      [
+        { value: memInfo.used, color: usedColor, char: "█" },
+        { value: buffcache, color: info, char: "▒" },
+      ],
+      memInfo.total,
+      barWidth,
+    )
+    content += "\n" + this.createSparkline(history, this.sparklineWidth, 100, this.theme.success) + "\n"
+    content += `Avail ${size(available)}`
+    content += memInfo.buffcache === undefined ? "\n" : `  {${info}-fg}▒{/${info}-fg} cache ${size(buffcache)}\n`
+
+    if (memInfo.swap?.total > 0) {
+      const { swap } = memInfo
+      content += `Swap ${this.createProgressBar(swap.usagePercent, 100, barWidth)}\n`
+      content += `     ${size(swap.used)} of ${size(swap.total)}\n`
+    } else if (memInfo.swap) {
+      content += "Swap: none\n"
+    }
 
-    content += this.createProgressBar(memInfo.usagePercent, 100) + "\n\n"
+    //  Remote hosts and recordings have no process list
+    if (processes?.length > 0) {
+      const top = [...processes].sort((a, b) => (b.rssKB ?? 0) - (a.rssKB ?? 0) || b.mem - a.mem).slice(0, 5)
 
-    content += `Total: ${memInfo.total} GB\n`
-    content += `Used: ${memInfo.used} GB\n`
-    content += `Free: ${memInfo.free} GB\n`
+      content += "{bold}Top processes{/bold}\n"
+      for (const proc of top) {
+        const rss = proc.rssKB === undefined ? `${proc.mem}%` : this.formatMemorySize(proc.rssKB * 1024, units)
+        content += `${blessed.escape(fit(proc.name, Math.max(8, width - 12)))} ${rss.padStart(10)}\n`
+      }
+    }
 
     return content
   }
 
-  formatDiskContent(diskInfo) {
+  //  Sizes in binary (KiB, MiB, GiB) or decimal (kB, MB, GB) steps
+  formatMemorySize(bytes, units = "GiB") {
+    const [base, steps] =
+      units === "GB" ? [1000, ["B", "kB", "MB", "GB", "TB"]] : [1024, ["B", "KiB", "MiB", "GiB", "TiB"]]
+
+    let value = bytes
+    let step = 0
+    while (value >= base && step < steps.length - 1) {
+      value /= base
+      step++
+    }
+
+    return `${step > 0 && value < 100 ? value.toFixed(1) : Math.round(value)} ${steps[step]}`
+  }
+
+  formatDiskContent(diskInfo, view = {}) {
+    const { expanded = false, width = 40 } = view
+
     if (!diskInfo || diskInfo.length === 0) {
       return "No disk data available"
     }
 
     logger.debug("Formatting disk content...")
 
-    let content = "{bold}Disk Usage{/bold}\n\n"
+    if (expanded) {
+      return this.formatDiskTable(diskInfo, width)
+    }
+
+    const fit = (text, room) => (text.length > room ? `${text.substring(0, room - 1)}…` : text.padEnd(room))
+    const percent = (value) => {
+      const color = this.getThresholdColor(value)
+      return `{${color}-fg}${Math.round(value)}%{/${color}-fg}`
+    }
+
+    //  Every filesystem gets a bar, the widget scrolls when they don't fit
+    return diskInfo
+      .map((disk) => {
+        const size = `${disk.used}/${disk.size} GB`
+        //  Mount points can contain braces, escape after fitting so widths stay right
+        let content = `{bold}${blessed.escape(fit(disk.mount, Math.max(1, width - size.length - 1)))}{/bold} ${size}\n`
+        content += this.createProgressBar(disk.usagePercent, 100, Math.max(5, Math.min(20, width - 20)))
+
+        //  Older recordings and remote agents may lack inodes and I/O
+        if (disk.inodes) {
+          content += `  inodes ${percent(disk.inodes.usagePercent)}`
+        }
+
+        const details = []
+        if (disk.io) {
+          details.push(`r ${this.formatRate(disk.io.readRate)}  w ${this.formatRate(disk.io.writeRate)}`)
+          details.push(`busy ${percent(disk.io.busyPercent)}`)
+        }
+        //  Only growing filesystems get a forecast, the rest would read "never"
+        if (typeof disk.forecast?.hoursToFull === "number") {
+          details.push(`full in ${this.formatTimeToFull(disk.forecast.hoursToFull)}`)
+        }
+        if (details.length > 0) {
+          content += `\n${details.join("  ")}`
+        }
+
+        return content
+      })
+      .join("\n")
+  }
+
+  //  The zoomed disk view: one row per filesystem with capacity, inodes and device I/O
+  formatDiskTable(diskInfo, width) {
+    const fit = (text, room) => (text.length > room ? `${text.substring(0, room - 1)}…` : text.padEnd(room))
+    const percent = (value) => {
+      if (typeof value !== "number") return "-".padStart(5)
 
-    //  Show first disk (usually main drive)
-    const mainDisk = diskInfo[0]
-    content += `{bold}${mainDisk.mount}{/bold}\n`
-    content += this.createProgressBar(mainDisk.usagePercent, 100) + "\n\n"
-    content += `Size: ${mainDisk.size} GB\n`
-    content += `Used: ${mainDisk.used} GB\n`
-    content += `Free: ${mainDisk.available} GB\n`
+      const color = this.getThresholdColor(value)
+      return `{${color}-fg}${`${Math.round(value)}%`.padStart(5)}{/${color}-fg}`
+    }
+
+    //  Everything but the mount column has a fixed width, the mount takes what is left. One column
+    //  stays free: blessed wraps a full-width line at its last space when a closing tag follows it
+    const mountWidth = Math.max(12, width - 120)
+    //  "-" until there is enough history, "stable" when the filesystem isn't growing
+    const timeToFull = (forecast) => {
+      if (!forecast) return "-".padStart(8)
+      if (forecast.hoursToFull === null) return "stable".padStart(8)
+      return this.formatTimeToFull(forecast.hoursToFull, 8)
+    }
+
+    let content = `{bold}${fit("MOUNT", mountWidth)} ${fit("TYPE", 8)} ${fit("DEVICE", 8)} ${fit("USE", 16)} `
+    content += `${"USED/SIZE GB".padStart(16)} ${"FREE GB".padStart(8)} ${"INODES".padStart(6)} `
+    content += `${"READ".padStart(10)} ${"WRITE".padStart(10)} ${"R IOPS".padStart(6)} ${"W IOPS".padStart(6)} `
+    content += `${"BUSY".padStart(5)} ${"FULL IN".padStart(8)}{/bold}\n`
+
+    for (const disk of diskInfo) {
+      const { io } = disk
+      const device = io?.device ?? disk.filesystem.replace(/^\/dev\//, "")
+
+      const cells = [fit(disk.mount, mountWidth), fit(disk.type ?? "-", 8), fit(device, 8)].map(blessed.escape)
+      content += `${cells.join(" ")} `
+      content += `${this.createBar(disk.usagePercent, 10)} ${percent(disk.usagePercent)} `
+      content += `${`${disk.used}/${disk.size}`.padStart(16)} ${String(disk.available).padStart(8)} `
+      content += ` ${percent(disk.inodes?.usagePercent)} ` // INODES is one wider than the value
+      content += io
+        ? `${this.formatRate(io.readRate).padStart(10)} ${this.formatRate(io.writeRate).padStart(10)} ` +
+          `${String(io.readIOPS).padStart(6)} ${String(io.writeIOPS).padStart(6)} ${percent(io.busyPercent)} `
+        : `${"-".padStart(10)} ${"-".padStart(10)} ${"-".padStart(6)} ${"-".padStart(6)} ${"-".padStart(5)} `
+      content += `${timeToFull(disk.forecast)}\n`
+    }
+
+    //  Rates compare two samples, and only Linux exposes per-device counters
+    if (diskInfo.every((disk) => !disk.io)) {
+      content += "\nI/O rates appear after the second disk sample, on Linux only\n"
+    }
 
     return content
   }
 
-  formatNetworkContent(networkInfo) {
+  //  Hours as minutes, hours or days, red within a day and yellow within a week
+  formatTimeToFull(hours, width = 0) {
+    let text = `${Math.round(hours / 24)}d`
+    if (hours < 1) text = `${Math.round(hours * 60)}m`
+    else if (hours < 10) text = `${hours.toFixed(1)}h`
+    else if (hours < 48) text = `${Math.round(hours)}h`
+    else if (hours > 365 * 24) text = ">1y"
+
+    const color = hours < 24 ? this.theme.error : hours < 7 * 24 ? this.theme.warning : null
+    text = text.padStart(width)
+    return color ? `{${color}-fg}${text}{/${color}-fg}` : text
+  }
+
+  //  KB/s scaled to MB/s or GB/s once it gets large
+  formatRate(kbPerSecond) {
+    if (kbPerSecond >= 1024 * 1024) return `${(kbPerSecond / 1024 / 1024).toFixed(1)} GB/s`
+    if (kbPerSecond >= 1024) return `${(kbPerSecond / 1024).toFixed(1)} MB/s`
+    return `${kbPerSecond} KB/s`
+  }
+
+  //  view: { expanded, width, selected, units } - selected names the graphed interface, units is "bytes" or "bits"
+  formatNetworkContent(networkInfo, history = { rx: [], tx: [] }, view = {}) {
+    const { expanded = false, width = 40, selected = null, units = "bytes" } = view
+
     if (!networkInfo || networkInfo.length === 0) {
       return "No network data available"
     }
 
     logger.debug("Formatting network content...")
 
-    let content = "{bold}Network Activity{/bold}\n\n"
-
-    //  Find active interface or use first one
-    const activeInterface = networkInfo.find((net) => net.rxRate > 0 || net.txRate > 0) || networkInfo[0]
+    const fit = (text, room) => (text.length > room ? `${text.substring(0, room - 1)}…` : text.padEnd(room))
+    const rate = (kbPerSecond) => this.formatBandwidth(kbPerSecond, units)
+    const current = networkInfo.find((net) => net.interface === selected) ?? networkInfo[0]
 
-    content += `Interface: ${activeInterface.interface}\n\n`
+    //  Older recordings and remote agents only have names, totals and rates
+    const link = current.speed ? this.formatLinkSpeed(current.speed) : "speed unknown"
+    let content = `{bold}${current.interface}{/bold} ${link}`
+    if (typeof current.utilization === "number") {
+      const color = this.getThresholdColor(current.utilization)
+      content += `  util {${color}-fg}${current.utilization}%{/${color}-fg}`
+    }
+    const errors = (current.rxErrors ?? 0) + (current.txErrors ?? 0)
+    const drops = (current.rxDropped ?? 0) + (current.txDropped ?? 0)
+    if (errors + drops > 0) {
+      content += `  {${this.theme.warning}-fg}err ${errors} drop ${drops}{/${this.theme.warning}-fg}`
+    }
+    content += "\n"
 
     //  Use colors for download/upload
-    content += `{${this.theme.success}-fg}↓ Download:{/${this.theme.success}-fg}\n`
-    content += `  Total: ${activeInterface.rxMB} MB\n`
-    content += `  Rate: ${activeInterface.rxRate} KB/s\n\n`
+    const { success, error } = this.theme
+    const download = `{${success}-fg}↓{/${success}-fg} ${rate(current.rxRate)}  total ${this.formatTotal(current.rxMB)}`
+    const upload = `{${error}-fg}↑{/${error}-fg} ${rate(current.txRate)}  total ${this.formatTotal(current.txMB)}`
+
+    if (expanded) {
+      //  Zoomed in: taller graphs and a row with every counter for each interface
+      const chartWidth = Math.max(10, width - 1)
+      content += `${download}\n${this.createChart(history.rx, chartWidth, 4, null, success)}\n`
+      content += `${upload}\n${this.createChart(history.tx, chartWidth, 4, null, error)}\n\n`
+      return content + this.formatNetworkTable(networkInfo, current, units)
+    }
+
+    content += `${download}\n${this.createSparkline(history.rx, this.sparklineWidth, null, success)}\n`
+    content += `${upload}\n${this.createSparkline(history.tx, this.sparklineWidth, null, error)}\n`
+
+    //  With several interfaces, list them all so the selection has something to move through
+    if (networkInfo.length > 1) {
+      const nameWidth = Math.max(6, width - 26)
+      content += "\n"
+      for (const net of networkInfo) {
+        const marker = net === current ? "▸" : " "
+        content += `${marker}${fit(net.interface, nameWidth)} ↓${rate(net.rxRate).padStart(10)} ↑${rate(net.txRate).padStart(10)}\n`
+      }
+    }
+
+    return content
+  }
+
+  formatNetworkTable(networkInfo, current, units) {
+    const rate = (kbPerSecond) => this.formatBandwidth(kbPerSecond, units).padStart(11)
+    const count = (value) => String(value ?? "-").padStart(8)
+    const fit = (text, room) => (text.length > room ? `${text.substring(0, room - 1)}…` : text.padEnd(room))
+
+    let content = `{bold}  ${fit("INTERFACE", 16)} ${fit("STATE", 7)} ${"SPEED".padStart(9)} ${"RX".padStart(11)} `
+    content += `${"TX".padStart(11)} ${"UTIL".padStart(6)} ${"RX TOTAL".padStart(9)} ${"TX TOTAL".padStart(9)} `
+    content += `${"RX ERR".padStart(8)} ${"TX ERR".padStart(8)} ${"RX DROP".padStart(8)} ${"TX DROP".padStart(8)}{/bold}\n`
+
+    for (const net of networkInfo) {
+      const speed = net.speed ? this.formatLinkSpeed(net.speed) : "-"
+      let utilization = "-".padStart(6)
+      if (typeof net.utilization === "number") {
+        const color = this.getThresholdColor(net.utilization)
+        utilization = `{${color}-fg}${`${net.utilization}%`.padStart(6)}{/${color}-fg}`
+      }
+
+      content += `${net === current ? "▸" : " "} ${fit(net.interface, 16)} ${fit(net.operstate ?? "-", 7)} `
+      content += `${speed.padStart(9)} ${rate(net.rxRate)} ${rate(net.txRate)} ${utilization} `
+      content += `${this.formatTotal(net.rxMB).padStart(9)} ${this.formatTotal(net.txMB).padStart(9)} `
+      content += `${count(net.rxErrors)} ${count(net.txErrors)} ${count(net.rxDropped)} ${count(net.txDropped)}\n`
+    }
+
+    return content + "\ni / Shift-i select the graphed interface, b switches between bytes and bits\n"
+  }
 
-    content += `{${this.theme.error}-fg}↑ Upload:{/${this.theme.error}-fg}\n`
-    content += `  Total: ${activeInterface.txMB} MB\n`
-    content += `  Rate: ${activeInterface.txRate} KB/s\n`
+  //  Rates arrive in KB/s and are scaled in bytes (1024 steps) or bits (1000 steps) per second
+  formatBandwidth(kbPerSecond, units = "bytes") {
+    const [steps, base, value] =
+      units === "bits"
+        ? [["b/s", "kb/s", "Mb/s", "Gb/s"], 1000, kbPerSecond * 1024 * 8]
+        : [["B/s", "KB/s", "MB/s", "GB/s"], 1024, kbPerSecond * 1024]
+
+    let scaled = value
+    let step = 0
+    while (scaled >= base && step < steps.length - 1) {
+      scaled /= base
+      step++
+    }
+
+    return `${step > 0 && scaled < 10 ? scaled.toFixed(1) : Math.round(scaled)} ${steps[step]}`
+  }
+
+  //  Totals arrive in MB
+  formatTotal(mb) {
+    if (mb >= 1024 * 1024) return `${(mb / 1024 / 1024).toFixed(1)} TB`
+    if (mb >= 1024) return `${(mb / 1024).toFixed(1)} GB`
+    if (mb >= 1) return `${mb.toFixed(1)} MB`
+    return `${Math.round(mb * 1024)} KB`
+  }
+
+  //  Link speeds are always in bits, the way NICs are sold
+  formatLinkSpeed(mbit) {
+    return mbit >= 1000 ? `${mbit / 1000} Gb/s` : `${mbit} Mb/s`
+  }
+
+  formatProcessContent(processInfo, view) {
+    if (!processInfo) {
+      return null
+    }
+
+    logger.debug("Formatting process content...")
+
+    const column = PROCESS_COLUMNS.find((col) => col.key === view.sortBy) || PROCESS_COLUMNS[0]
+    const filter = view.filter.toLowerCase()
+
+    //  Incremental filter matches process name or full command line
+    const matchesFilter = (proc) =>
+      !filter || proc.name.toLowerCase().includes(filter) || proc.command.toLowerCase().includes(filter)
+    const compare = (a, b) =>
+      column.numeric ? a[column.key] - b[column.key] : String(a[column.key]).localeCompare(b[column.key])
+
+    const rows = processInfo.list
+      .filter(matchesFilter)
+      .sort((a, b) => (view.descending ? -compare(a, b) : compare(a, b)))
+      //  The table parses tags, and any local user controls their process's command line
+      .map((proc) => [
+        String(proc.pid),
+        blessed.escape(proc.user),
+        proc.cpu.toFixed(1),
+        proc.mem.toFixed(1),
+        blessed.escape(proc.command),
+      ])
+
+    //  First row is the table header, with an arrow on the sorted column
+    const arrow = view.descending ? "↓" : "↑"
+    const header = PROCESS_COLUMNS.map((col) => (col.key === column.key ? `${col.title}${arrow}` : col.title))
+
+    return [header, ...rows]
+  }
+
+  formatProcessLabel(processInfo, view, shown) {
+    const filter = view.filter ? ` | filter: ${view.filter}` : ""
+    return ` Processes ${shown}/${processInfo?.total ?? 0}${filter} `
+  }
+
+  formatHistoryContent(history, minutes, width = 60, chartHeight = 3) {
+    if (!history) {
+      return "No history available"
+    }
+
+    logger.debug("Formatting history content...")
+
+    //  Fixed 0-100 scale for percentages, auto scale for rates
+    const charts = [
+      { metric: "cpu", title: "CPU", unit: "%", max: 100, color: this.theme.primary },
+      { metric: "memory", title: "Memory", unit: "%", max: 100, color: this.theme.success },
+      { metric: "networkRx", title: "Net ↓", unit: " KB/s", max: null, color: this.theme.info },
+      { metric: "networkTx", title: "Net ↑", unit: " KB/s", max: null, color: this.theme.error },
+    ]
+
+    return charts
+      .map(({ metric, title, unit, max, color }) => {
+        const stats = history.getStats(metric)
+        const header =
+          `{bold}${title}{/bold} last ${minutes}m  now ${stats.latest}${unit}  ` +
+          `avg ${stats.avg}${unit}  max ${stats.max}${unit}`
+
+        return header + "\n" + this.createChart(history.values(metric), width, chartHeight, max, color)
+      })
+      .join("\n")
+  }
+
+  formatDockerContent(dockerInfo) {
+    if (!dockerInfo) {
+      return "No Docker data available"
+    }
+
+    if (!dockerInfo.available) {
+      return `{${this.theme.warning}-fg}Docker not available{/${this.theme.warning}-fg} (${dockerInfo.reason})`
+    }
+
+    if (dockerInfo.containers.length === 0) {
+      return "No containers"
+    }
+
+    logger.debug("Formatting Docker content...")
+
+    const fit = (text, width) => (text.length > width ? `${text.substring(0, width - 1)}…` : text.padEnd(width))
+
+    let content = `{bold}${fit("NAME", 24)} ${fit("IMAGE", 24)} ${fit("STATE", 10)} ${"CPU%".padStart(7)} `
+    content += `${"MEM".padStart(11)} ${"MEM%".padStart(6)}  NET rx/tx{/bold}\n`
+
+    for (const container of dockerInfo.containers) {
+      const color = container.state === "running" ? this.theme.success : this.theme.warning
+
+      //  Names and images come from the daemon, escape them after fitting so widths stay right
+      content += `${blessed.escape(fit(container.name, 24))} ${blessed.escape(fit(container.image, 24))} `
+      content += `{${color}-fg}${fit(container.state, 10)}{/${color}-fg} `
+      content += `${container.cpuPercent.toFixed(1).padStart(7)} ${`${container.memUsageMB} MB`.padStart(11)} `
+      content += `${container.memPercent.toFixed(1).padStart(6)}  ${container.netRxMB} / ${container.netTxMB} MB\n`
+    }
+
+    return content
+  }
+
+  formatHostOverview(hosts, selected) {
+    logger.debug("Formatting host overview...")
+
+    const fit = (text, width) => (text.length > width ? `${text.substring(0, width - 1)}…` : text.padEnd(width))
+    const percent = (value) => {
+      if (typeof value !== "number") return "-".padStart(6)
+
+      //  Same traffic-light thresholds as the progress bars
+      const color = this.getThresholdColor(value)
+      return `{${color}-fg}${value.toFixed(1).padStart(6)}{/${color}-fg}`
+    }
+
+    let content = `{bold}  # ${fit("HOST", 20)} ${fit("ADDRESS", 21)} ${fit("STATE", 12)} ${"CPU%".padStart(6)} `
+    content += `${"MEM%".padStart(6)} ${"DISK%".padStart(6)}  NET rx/tx KB/s{/bold}\n`
+
+    hosts.forEach((host, index) => {
+      const { sample } = host
+      const stateColor = host.state === "connected" && !host.stale ? this.theme.success : this.theme.warning
+      const state = host.stale ? "stale" : host.state
+      const fullestDisk = sample?.disk?.length ? Math.max(...sample.disk.map((disk) => disk.usagePercent)) : null
+      const rx = sample?.network?.reduce((sum, net) => sum + net.rxRate, 0)
+      const tx = sample?.network?.reduce((sum, net) => sum + net.txRate, 0)
+
+      //  Names and errors come from the agent, escape them after fitting so widths stay right
+      content += `${index === selected ? "{bold}>" : " "}${String(index + 1).padStart(2)} `
+      content += `${blessed.escape(fit(host.name, 20))} `
+      content += `${fit(host.address, 21)} {${stateColor}-fg}${fit(state, 12)}{/${stateColor}-fg} `
+      content += `${percent(sample?.cpu?.usage)} ${percent(sample?.memory?.usagePercent)} ${percent(fullestDisk)}  `
+      content += sample?.network ? `${rx.toFixed(1)} / ${tx.toFixed(1)}` : "-"
+      content += host.state !== "connected" && host.lastError ? `  (${blessed.escape(host.lastError)})` : ""
+      content += `${index === selected ? "{/bold}" : ""}\n`
+    })
 
     return content
   }
 
+  formatDiagnosticsContent({ diagnostics, cache, collectors }) {
+    logger.debug("Formatting diagnostics content...")
+
+    const ms = (value) => (value === null || value === undefined ? "-" : `${value}ms`)
+    const latency = ({ p50, p95, max }) => `p50 ${ms(p50)}  p95 ${ms(p95)}  max ${ms(max)}`
+    const { update, eventLoopLag, process } = diagnostics
+
+    let content = `{bold}Update loop{/bold}     last ${ms(update.last)}  ${latency(update)}\n`
+    content += `{bold}Event-loop lag{/bold}  ${latency(eventLoopLag)}\n`
+    content += `{bold}Process{/bold}         CPU ${process.cpuPercent}%  RSS ${process.rssMB} MB  heap ${process.heapUsedMB} MB\n`
+    //  Hits and misses count reads through the TTL, scheduled collections always refresh
+    content += `{bold}Cache{/bold}           hit rate ${cache.hitRate}% (${cache.hits} hits, ${cache.misses} misses, `
+    content += `${cache.refreshes} scheduled refreshes, ${cache.size} entries)\n\n`
+
+    if (!collectors) {
+      return content + "No local collectors in replay or client mode"
+    }
+
+    const cell = (value, width) => String(value ?? "-").padStart(width)
+
+    content += `{bold}${"COLLECTOR".padEnd(22)}${cell("EVERY", 7)}${cell("P50", 8)}${cell("P95", 8)}${cell("MAX", 8)}`
+    content += `${cell("RUNS", 7)}${cell("SKIPPED", 9)}${cell("HIT%", 7)}{/bold}\n`
+
+    for (const [name, stats] of Object.entries(collectors)) {
+      //  Skipped ticks mean the collector takes longer than its interval
+      const warn = stats.skipped > 0 ? this.theme.warning : this.theme.text
+      const skipped = `{${warn}-fg}${cell(stats.skipped, 9)}{/${warn}-fg}`
+
+      content += `${name.padEnd(22)}${cell(`${stats.interval / 1000}s`, 7)}${cell(ms(stats.latency.p50), 8)}`
+      content += `${cell(ms(stats.latency.p95), 8)}${cell(ms(stats.latency.max), 8)}${cell(stats.runs, 7)}`
+      content += `${skipped}${cell(cache.perKey[name]?.hitRate, 7)}\n`
+    }
+
+    return content
+  }
+
+  //  view: { filter } - a number matches local or remote ports, anything else process names and addresses
+  formatConnectionsContent(connections, view = {}, width = 100) {
+    if (!connections) {
+      return "Loading..."
+    }
+
+    logger.debug("Formatting connections content...")
+
+    const query = (view.filter ?? "").trim().toLowerCase()
+    const matches = (conn) => {
+      if (!query) return true
+      if (/^\d+$/.test(query)) return conn.localPort === query || conn.peerPort === query
+      return [conn.process, conn.localAddress, conn.peerAddress].some((text) => text.toLowerCase().includes(query))
+    }
+    const shown = connections.filter(matches)
+
+    //  Counts per state, the common ones first
+    const counts = new Map(["ESTABLISHED", "TIME_WAIT", "LISTEN"].map((state) => [state, 0]))
+    for (const conn of shown) {
+      counts.set(conn.state, (counts.get(conn.state) ?? 0) + 1)
+    }
+    //  Process names, addresses and the filter are text the panel's tags must not parse
+    const filter = query ? `  filter: ${blessed.escape(view.filter)}` : ""
+    let content = `{bold}${shown.length}/${connections.length} sockets{/bold}${filter}\n`
+    content += [...counts].map(([state, count]) => `${state} ${count}`).join("  ") + "\n\n"
+
+    //  One entry per listening port, with the process that owns it
+    const listening = new Map()
+    for (const conn of shown.filter((entry) => entry.state === "LISTEN")) {
+      listening.set(`${conn.protocol}/${conn.localPort}`, conn)
+    }
+    const ports = [...listening.values()]
+      .sort((a, b) => Number(a.localPort) - Number(b.localPort))
+      .map((conn) => `${conn.protocol} ${conn.localPort}${conn.process ? ` (${blessed.escape(conn.process)})` : ""}`)
+    content += `{bold}Listening:{/bold} ${ports.length > 0 ? ports.join(", ") : "none"}\n\n`
+
+    //  Addresses get what is left after the fixed columns, IPv6 needs the room
+    const fit = (text, room) =>
+      blessed.escape(text.length > room ? `${text.substring(0, room - 1)}…` : text.padEnd(room))
+    const addressWidth = Math.max(21, Math.floor((width - 44) / 2))
+    const processWidth = Math.max(8, width - 31 - addressWidth * 2) // One column spare so rows never wrap
+    const endpoint = (address, port) => (address.includes(":") ? `[${address}]:${port}` : `${address}:${port}`)
+
+    content += `{bold}${fit("PROTO", 6)} ${fit("LOCAL ADDRESS", addressWidth)} ${fit("REMOTE ADDRESS", addressWidth)} `
+    content += `${fit("STATE", 12)} ${"PID".padStart(7)} PROCESS{/bold}\n`
+
+    //  Grouped by state, then by local port
+    const rows = [...shown].sort((a, b) => a.state.localeCompare(b.state) || Number(a.localPort) - Number(b.localPort))
+    for (const conn of rows) {
+      content += `${fit(conn.protocol, 6)} ${fit(endpoint(conn.localAddress, conn.localPort), addressWidth)} `
+      content += `${fit(endpoint(conn.peerAddress, conn.peerPort), addressWidth)} ${fit(conn.state, 12)} `
+      content += `${String(conn.pid ?? "-").padStart(7)} ${fit(conn.process || "-", processWidth).trimEnd()}\n`
+    }
+
+    return content
+  }
+
+  formatPluginContent(plugin, data, error = null) {
+    //  Plugin output is untrusted text, only a plugin's own format() may return tags
+    if (error) {
+      return `{${this.theme.error}-fg}Collection failed:{/${this.theme.error}-fg} ${blessed.escape(String(error))}`
+    }
+
+    if (data === undefined || data === null) {
+      return "No data"
+    }
+
+    if (plugin.format) {
+      return plugin.format(data, this)
+    }
+
+    //  Without a formatter, show plain objects as "key: value" lines
+    if (typeof data === "object" && !Array.isArray(data)) {
+      const text = (value) => blessed.escape(typeof value === "object" ? JSON.stringify(value) : String(value))
+      return Object.entries(data)
+        .map(([key, value]) => `{bold}${blessed.escape(key)}:{/bold} ${text(value)}`)
+        .join("\n")
+    }
+
+    return blessed.escape(typeof data === "string" ? data : JSON.stringify(data))
+  }
+
+  formatAlertsContent(alerts) {
+    if (!alerts || alerts.length === 0) {
+      return `{${this.theme.success}-fg}No active alerts{/${this.theme.success}-fg}`
+    }
+
+    logger.debug("Formatting alerts content...")
+
+    //  Firing alerts first, then pending ones
+    const sorted = [...alerts].sort((a, b) => (a.state === b.state ? 0 : a.state === "firing" ? -1 : 1))
+    const now = Date.now()
+
+    return sorted
+      .map((alert) => {
+        const color = alert.state === "firing" ? this.theme.error : this.theme.warning
+        const since = Math.round((now - (alert.firedAt ?? alert.exceededSince)) / 1000)
+        const state = alert.state.toUpperCase().padEnd(7)
+        const unit = alert.unit ?? "%" // Percent, or hours for disk forecasts
+
+        //  Labels include mount points, which can contain braces
+        return (
+          `{${color}-fg}{bold}${state}{/bold}{/${color}-fg} ${blessed.escape(alert.label)}: ` +
+          `${alert.value === null ? "-" : alert.value.toFixed(1)}${unit} (threshold ${alert.threshold}${unit}) for ${since}s`
+        )
+      })
+      .join("\n")
+  }
+
+  highlightWidget(widget, active) {
+    //  Remember the widget's own border color the first time we override it
+    if (widget.defaultBorderColor === undefined) {
+      widget.defaultBorderColor = widget.style.border.fg
+    }
+
+    widget.style.border.fg = active ? this.theme.error : widget.defaultBorderColor
+  }
+
+  //  Focus shows on the label and border weight, so an alert's border color stays visible
+  highlightFocus(widget, focused) {
+    widget.style.border.bold = focused
+
+    //  A label set after creation (the process table's) starts from style.label
+    widget.style.label ??= {}
+    const labelStyle = widget._label?.style ?? widget.style.label
+    labelStyle.inverse = focused
+  }
+
   getTheme() {
     return { ...this.theme } // Return copy to prevent modification
   }
 
   setTheme(newTheme) {
-    this.theme = { ...this.theme, ...newTheme }
+    //  Start from the default palette so nothing carries over from the previous theme
+    this.theme = { ...themes.default, ...newTheme }
     logger.info("Theme updated")
   }
+
+  applyTheme(widgets) {
+    //  Restyle existing widgets in place, content colors follow on the next render
+    for (const [name, widget] of Object.entries(widgets)) {
+      const { style } = widget
+      const isHeader = name === "header"
+
+      style.fg = isHeader ? this.theme.accentText : this.theme.text
+      style.bg = isHeader ? this.theme.primary : this.theme.background
+
+      if (style.border) {
+        Object.assign(style.border, { fg: this.theme[BORDER_ROLES[name] ?? "primary"], bg: style.bg })
+        widget.defaultBorderColor = style.border.fg // What highlightWidget() restores
+      }
+
+      //  blessed gives labels their own style object
+      if (widget._label) {
+        Object.assign(widget._label.style, { fg: this.theme.text, bg: this.theme.background })
+      }
+
+      //  The process table's header and row styles are shared with its rows, so mutate them
+      if (style.header) {
+        style.header.fg = this.theme.primary
+      }
+      if (style.cell) {
+        style.cell.fg = this.theme.text
+        Object.assign(style.cell.selected, {
+          fg: this.theme.background,
+          bg: this.theme.primary,
+          inverse: Boolean(this.theme.inverseSelection),
+        })
+      }
+    }
+  }
 }
\ No newline at end of file